@@ -5,6 +5,7 @@
 const path = require("path");
 const { glob } = require("glob");
 const logger = require("./utils/logger");
+const { useProfile } = require("./utils/file-helper");
 const commandFile = path.join(__dirname, "./scripts");
 
 const commandFiles = glob.sync([`${commandFile}/**/*.js`]);
@@ -106,6 +107,17 @@ async function runCommand(commandPath, options) {
       logger.info("No help available for this command");
     }
   } else {
+    // Global option: every command runs with the credentials of the selected profile
+    const profile = options.profile || process.env.TG_PROFILE;
+    if (profile) {
+      try {
+        useProfile(profile);
+      } catch (err) {
+        logger.error(err.message);
+        process.exit(1);
+      }
+    }
+
     const commandInstance = new Command();
     await commandInstance.handle(options);
   }
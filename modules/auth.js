@@ -1,15 +1,25 @@
 const { TelegramClient } = require("telegram");
 const { Logger } = require("telegram/extensions");
 const { LogLevel } = require("telegram/extensions/Logger");
-const { updateCredentials, getCredentials } = require("../utils/file-helper");
+const { updateCredentials, getCredentials, getActiveProfile } = require("../utils/file-helper");
 const { StringSession } = require("telegram/sessions");
 const { logMessage } = require("../utils/helper");
+const {
+  isEncryptedSessionId,
+  encryptSessionId,
+  decryptSessionId,
+  getSessionPassphrase,
+} = require("../utils/session-crypto");
+const { getProxy, describeProxy } = require("./proxy");
+const qrcode = require("qrcode-terminal");
 
 const {
   textInput,
   mobileNumberInput,
   otpInput,
   selectInput,
+  stdinInput,
+  fileInput,
 } = require("../utils/input-helper");
 
 const OTP_METHOD = {
@@ -17,50 +27,217 @@ const OTP_METHOD = {
   APP: "app",
 };
 
-let { apiHash, apiId, sessionId } = getCredentials();
-const stringSession = new StringSession(sessionId || "");
+/**
+ * Collects the login values given as CLI flags or environment variables.
+ * Flags take precedence over environment variables.
+ * @param {Object} options - CLI options
+ * @returns {{phone: string, password: string, otpMethod: string, otpFile: string, qr: boolean}}
+ */
+const getLoginOptions = (options = {}) => ({
+  phone: String(options.phone || process.env.TG_PHONE || "").replace(/^\+/, ""),
+  password: options.password || process.env.TG_PASSWORD,
+  otpMethod: (options.otp_method || process.env.TG_OTP_METHOD || "").toLowerCase(),
+  otpFile: options.otp_file || process.env.TG_OTP_FILE,
+  qr: Boolean(options.qr) || ["1", "true"].includes(process.env.TG_LOGIN_QR),
+});
 
 /**
- * Initializes the authentication process for the Telegram client.
- * @param {string} [otpPreference=OTP_METHOD.APP] - The preferred method for receiving the OTP (either 'app' or 'sms').
- * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ * Gets the login OTP from the OTP file, a stdin pipe or a prompt, in that order
+ * @param {Object} login - Result of getLoginOptions
+ * @param {number} sentAt - When the code was sent, older OTP files are ignored
+ * @returns {Promise<string>}
+ */
+const getOtp = async (login, sentAt) => {
+  if (login.otpFile === "-") {
+    return await stdinInput("Waiting for the OTP on stdin...");
+  }
+  if (login.otpFile) {
+    logMessage.info(`Waiting for the OTP to be written to ${login.otpFile}`);
+    return await fileInput(login.otpFile, sentAt);
+  }
+  if (!process.stdin.isTTY) {
+    return await stdinInput("Waiting for the OTP on stdin...");
+  }
+  return await otpInput();
+};
+
+/**
+ * Gets the 2FA password from the login options, a stdin pipe or a prompt
+ * @param {Object} login - Result of getLoginOptions
+ * @param {string} [hint] - Password hint set on the account
+ * @returns {Promise<string>}
+ */
+const getPassword = async (login, hint) => {
+  if (login.password) return login.password;
+
+  const message = `Enter your password${hint ? ` (hint: ${hint})` : ""}`;
+  if (!process.stdin.isTTY) return await stdinInput(message);
+  return await textInput(message);
+};
+
+/**
+ * Prints a QR code for the login token. Telegram renews the token about every
+ * 30 seconds, so this is called again with a new code until it is scanned.
+ * @param {{token: Buffer, expires: number}} qrCode
+ */
+const renderLoginQrCode = async ({ token }) => {
+  logMessage.info(
+    "Scan this QR code in Telegram: Settings > Devices > Link Desktop Device"
+  );
+  qrcode.generate(`tg://login?token=${token.toString("base64url")}`, { small: true });
+};
+
+/**
+ * Creates a TelegramClient for the active credentials, connecting through the
+ * configured proxy (see getProxy) when there is one
+ * @param {string} session - The plain StringSession, empty for a new login
+ * @param {Object} [options={}] - CLI options: proxy
+ * @param {Object} [clientParams={}] - Extra TelegramClient parameters
+ * @returns {TelegramClient}
  */
-const initAuth = async (otpPreference = OTP_METHOD.APP) => {
-  const client = new TelegramClient(stringSession, apiId, apiHash, {
+const createClient = (session, options = {}, clientParams = {}) => {
+  const { apiHash, apiId } = getCredentials();
+  const proxy = getProxy(options);
+  if (proxy) {
+    logMessage.info(`Connecting through ${describeProxy(proxy)}`);
+  }
+
+  return new TelegramClient(new StringSession(session || ""), apiId, apiHash, {
     connectionRetries: 5,
     baseLogger: new Logger(LogLevel.ERROR),
+    ...(proxy ? { proxy, useWSS: false } : {}),
+    ...clientParams,
   });
+};
 
-  try {
-    if (!sessionId) {
+/**
+ * Gets the bot token to log in with. A token selected explicitly (the --bot_token flag, the
+ * TG_BOT_TOKEN environment variable or a bot profile selected with --profile) always applies.
+ * The botToken setting of config.json only applies to commands that can run as a bot, the
+ * others keep using the user session.
+ * @param {Object} [options={}] - CLI options
+ * @param {boolean} [allowBot=false] - Whether the calling command can run as a bot
+ * @returns {string|undefined}
+ */
+const getBotToken = (options = {}, allowBot = false) => {
+  const { botToken } = getCredentials();
+  const explicitToken = options.bot_token || process.env.TG_BOT_TOKEN || (getActiveProfile() && botToken);
+  if (explicitToken) return explicitToken;
+
+  return allowBot ? botToken : undefined;
+};
+
+/**
+ * Signs in as a user, with a QR code or with phone number and OTP
+ * @param {TelegramClient} client - The Telegram client
+ * @param {Object} login - Result of getLoginOptions
+ * @param {boolean} hasSession - Whether a saved session is being reused
+ */
+const signInUser = async (client, login, hasSession) => {
+  const interactive = Boolean(process.stdin.isTTY);
+
+  // Retrying with the same flag or environment value would fail again
+  const onError = (err) => {
+    logMessage.error(err);
+    return !interactive;
+  };
+
+  if (!hasSession && login.qr) {
+    await client.connect();
+    if (!(await client.checkAuthorization())) {
+      await client.signInUserWithQrCode(
+        { apiId: client.apiId, apiHash: client.apiHash },
+        {
+          qrCode: renderLoginQrCode,
+          password: async (hint) => await getPassword(login, hint),
+          onError,
+        }
+      );
+    }
+    return;
+  }
+
+  let otpPreference = OTP_METHOD.APP;
+  if (!hasSession) {
+    if (Object.values(OTP_METHOD).includes(login.otpMethod)) {
+      otpPreference = login.otpMethod;
+    } else if (interactive) {
       otpPreference = await selectInput("Where do you want the login OTP:", [
         OTP_METHOD.APP,
         OTP_METHOD.SMS,
       ]);
     }
+  }
 
-    const forceSMS = otpPreference === OTP_METHOD.SMS;
+  const forceSMS = otpPreference === OTP_METHOD.SMS;
 
-    await client.start({
-      phoneNumber: async () => await mobileNumberInput(),
-      password: async () => await textInput("Enter your password"),
-      phoneCode: async (isCodeViaApp) => {
-        logMessage.info(`OTP sent over ${isCodeViaApp ? "APP" : "SMS"}`);
+  await client.start({
+    phoneNumber: login.phone || (async () => await mobileNumberInput()),
+    password: async (hint) => await getPassword(login, hint),
+    phoneCode: async (isCodeViaApp) => {
+      logMessage.info(`OTP sent over ${isCodeViaApp ? "APP" : "SMS"}`);
 
-        return await otpInput();
-      },
-      forceSMS,
-      onError: (err) => logMessage.error(err),
-    });
+      return await getOtp(login, Date.now());
+    },
+    forceSMS,
+    onError,
+  });
+};
+
+/**
+ * Initializes the authentication process for the Telegram client.
+ * Without a saved session, the login values are taken from CLI flags or environment
+ * variables (see getLoginOptions) and only prompted for when missing.
+ * With a bot token (see getBotToken) the client logs in as that bot instead, with its
+ * session saved separately as botSessionId.
+ * An encrypted session is only decrypted in memory, it never reaches the disk in plain text.
+ * @param {Object} [options={}] - CLI options: phone, password, otp_method, otp_file, qr, encrypt_session, bot_token, proxy
+ * @param {Object} [capabilities={}]
+ * @param {boolean} [capabilities.allowBot=false] - Whether the calling command can run as a bot
+ * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ */
+const initAuth = async (options = {}, { allowBot = false } = {}) => {
+  const botToken = getBotToken(options, allowBot);
+  if (botToken && !allowBot) {
+    throw new Error(
+      "This command needs a user account: bots cannot list chats or read message history. Run it without a bot token (--bot_token, TG_BOT_TOKEN or a bot profile)."
+    );
+  }
+
+  // Read on every call so the profile selected with --profile is used
+  const credentials = getCredentials();
+  const { encryptSession } = credentials;
+  const sessionKey = botToken ? "botSessionId" : "sessionId";
+  let sessionId = credentials[sessionKey];
+
+  const session = isEncryptedSessionId(sessionId)
+    ? decryptSessionId(sessionId, await getSessionPassphrase())
+    : sessionId;
+  const client = createClient(session, options);
+
+  try {
+    if (botToken) {
+      await client.start({ botAuthToken: botToken });
+    } else {
+      await signInUser(client, getLoginOptions(options), Boolean(sessionId));
+    }
 
     logMessage.success("You should now be connected.");
 
     if (!sessionId) {
       sessionId = client.session.save();
-      updateCredentials({ sessionId });
-      logMessage.info(
-        "To avoid logging in again and again, the session ID has been saved to config.json. Please don't share it with anyone."
-      );
+      if (options.encrypt_session || encryptSession) {
+        sessionId = encryptSessionId(sessionId, await getSessionPassphrase(true));
+        updateCredentials({ [sessionKey]: sessionId, encryptSession: true });
+        logMessage.info(
+          "The session ID has been encrypted with your passphrase and saved to config.json."
+        );
+      } else {
+        updateCredentials({ [sessionKey]: sessionId });
+        logMessage.info(
+          "To avoid logging in again and again, the session ID has been saved to config.json. Please don't share it with anyone."
+        );
+      }
     }
   
     return client;
@@ -73,4 +250,6 @@ const initAuth = async (otpPreference = OTP_METHOD.APP) => {
 
 module.exports = {
   initAuth,
+  createClient,
+  getBotToken,
 };
@@ -126,13 +126,16 @@ const searchThroughDialogsWithSearchString = (dialogs, searchString) => {
  */
 const getDialogName = async (client, channelId) => {
     try {
-        const dialogPath = path.join(getTrackingDirectory(), "dialog_list.json");
-        if(!fs.existsSync(dialogPath)) {
-            await getAllDialogs(client);
-            process.exit(0);
+        // Bots cannot list dialogs, ask for the chat itself instead
+        if (await client.isBot()) {
+            const entity = await client.getEntity(channelId);
+            return entity.title || [entity.firstName, entity.lastName].filter(Boolean).join(" ") || null;
         }
 
-        const dialogs = require(dialogPath);
+        const dialogPath = path.join(getTrackingDirectory(), "dialog_list.json");
+        const dialogs = fs.existsSync(dialogPath)
+            ? JSON.parse(fs.readFileSync(dialogPath, "utf8"))
+            : await getAllDialogs(client);
         const dialog = dialogs.find(d => d.id == channelId);
         return dialog ? dialog.name : null;
     } catch (error) {
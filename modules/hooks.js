@@ -0,0 +1,170 @@
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { exec } = require("child_process");
+const logger = require("../utils/logger");
+const { getMediaType } = require("../utils/helper");
+const { getCredentials } = require("../utils/file-helper");
+
+const HOOK_EVENTS = {
+  FILE: "file",
+  CHANNEL_COMPLETE: "channel_complete",
+  FAILURE: "failure",
+};
+
+// CLI option (and key of the `hooks` setting in config.json) of each event
+const HOOK_OPTIONS = {
+  [HOOK_EVENTS.FILE]: "on_file",
+  [HOOK_EVENTS.CHANNEL_COMPLETE]: "on_channel_complete",
+  [HOOK_EVENTS.FAILURE]: "on_failure",
+};
+const HOOK_TIMEOUT_MS = 30 * 1000;
+
+let hooks = null; // event => shell command or URL, null until configured
+
+/**
+ * Checks whether a hook target is a URL to POST to rather than a shell command
+ * @param {string} target - The hook target
+ * @returns {boolean}
+ */
+const isUrlTarget = (target) => /^https?:\/\//i.test(target);
+
+/**
+ * Sets the hooks of the process from the --on_file, --on_channel_complete and --on_failure
+ * options, falling back to the `hooks` setting of config.json
+ * @param {Object} [options={}] - CLI options
+ * @throws {Error} If a hook URL is invalid
+ */
+const configureHooks = (options = {}) => {
+  const fromConfig = getCredentials().hooks || {};
+  hooks = {};
+
+  Object.entries(HOOK_OPTIONS).forEach(([event, option]) => {
+    const target = options[option] || fromConfig[option];
+    if (!target) return;
+
+    if (isUrlTarget(target)) {
+      try {
+        new URL(target);
+      } catch (err) {
+        throw new Error(`Invalid ${option} URL "${target}"`);
+      }
+    }
+    hooks[event] = String(target);
+  });
+};
+
+/**
+ * Runs a shell command hook. The payload is written to its stdin and set in TG_HOOK_PAYLOAD.
+ * @param {string} command - The shell command
+ * @param {string} event - The hook event
+ * @param {string} body - The JSON payload
+ * @returns {Promise<void>} Resolves when the command exits; failures are only logged
+ */
+const runCommandHook = (command, event, body) =>
+  new Promise((resolve) => {
+    const child = exec(
+      command,
+      {
+        timeout: HOOK_TIMEOUT_MS,
+        env: { ...process.env, TG_HOOK_EVENT: event, TG_HOOK_PAYLOAD: body },
+      },
+      (err, stdout, stderr) => {
+        if (err) {
+          logger.warn(`${HOOK_OPTIONS[event]} hook failed: ${(stderr || err.message).trim()}`);
+        }
+        resolve();
+      }
+    );
+
+    // The command may exit without reading its stdin
+    child.stdin.on("error", () => {});
+    child.stdin.end(body);
+  });
+
+/**
+ * POSTs the payload of a hook to a URL
+ * @param {string} url - The URL
+ * @param {string} event - The hook event
+ * @param {string} body - The JSON payload
+ * @returns {Promise<void>} Resolves when the request completes; failures are only logged
+ */
+const postHook = (url, event, body) =>
+  new Promise((resolve) => {
+    const transport = url.startsWith("https:") ? https : http;
+    const request = transport.request(
+      url,
+      {
+        method: "POST",
+        timeout: HOOK_TIMEOUT_MS,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+        },
+      },
+      (response) => {
+        if (response.statusCode >= 400) {
+          logger.warn(`${HOOK_OPTIONS[event]} hook returned HTTP ${response.statusCode}`);
+        }
+        response.resume();
+        response.on("end", resolve);
+      }
+    );
+
+    request.on("timeout", () => request.destroy(new Error("Timed out")));
+    request.on("error", (err) => {
+      logger.warn(`${HOOK_OPTIONS[event]} hook failed: ${err.message}`);
+      resolve();
+    });
+    request.end(body);
+  });
+
+/**
+ * Calls the hook of an event, if one is configured. Never throws: a failing hook
+ * must not stop the downloads.
+ * @param {string} event - One of HOOK_EVENTS
+ * @param {Object} payload - Sent as JSON, with the event name added
+ * @returns {Promise<void>}
+ */
+const emitHook = async (event, payload) => {
+  try {
+    if (!hooks) configureHooks();
+  } catch (err) {
+    logger.warn(err.message);
+    hooks = {};
+  }
+
+  const target = hooks[event];
+  if (!target) return;
+
+  const body = JSON.stringify({ event, ...payload });
+  if (isUrlTarget(target)) {
+    await postHook(target, event, body);
+  } else {
+    await runCommandHook(target, event, body);
+  }
+};
+
+/**
+ * Builds the hook payload describing the file of a message
+ * @param {Object} message - Telegram message object
+ * @param {string} mediaPath - Path of the file
+ * @param {number|string} channelId - The channel the message was fetched from
+ * @returns {Object} { path, messageId, channelId, channel, mediaType, caption, date }
+ */
+const getFilePayload = (message, mediaPath, channelId) => ({
+  path: path.resolve(mediaPath),
+  messageId: message.id,
+  channelId: channelId !== null && channelId !== undefined ? String(channelId) : null,
+  channel: message.chat?.title || message.chat?.username || null,
+  mediaType: getMediaType(message),
+  caption: message.message || "",
+  date: message.date ? new Date(message.date * 1000).toISOString() : null,
+});
+
+module.exports = {
+  HOOK_EVENTS,
+  configureHooks,
+  emitHook,
+  getFilePayload,
+};
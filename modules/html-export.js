@@ -0,0 +1,139 @@
+const ejs = require("ejs");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { MEDIA_TYPES } = require("../utils/helper");
+const { readRecordedMessages } = require("./message-export");
+
+const DEFAULT_PAGE_SIZE = 500;
+const TEMPLATE_FILE = path.resolve(__dirname, "../templates/messages.ejs");
+
+/**
+ * Escapes a string for safe use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Converts a recorded message text into HTML.
+ * Everything is escaped except the links inserted by recordMessages, which are restored
+ * when they point to a web or tg:// URL.
+ * @param {string} text - The recorded message text
+ * @returns {string} HTML safe to embed in the archive
+ */
+const formatMessageText = (text) => {
+  if (!text) return "";
+
+  return escapeHtml(text)
+    .replace(
+      /&lt;a href=&quot;(.*?)&quot;&gt;([\s\S]*?)&lt;\/a&gt;/g,
+      (match, url, linkText) => {
+        if (!/^(https?|tg):\/\//i.test(url)) return match;
+        return `<a href="${url}" target="_blank" rel="noopener noreferrer">${linkText}</a>`;
+      }
+    )
+    .replace(/\n/g, "<br>");
+};
+
+/**
+ * Gets the file name of an archive page
+ * @param {number} pageNumber - 1-based page number
+ * @returns {string}
+ */
+const getPageFileName = (pageNumber) => {
+  return pageNumber === 1 ? "messages.html" : `messages${pageNumber}.html`;
+};
+
+/**
+ * Builds the view model of a single message for the template
+ * @param {Object} msg - The recorded message
+ * @param {string} outputFolder - The folder the HTML pages are written to
+ * @returns {Object}
+ */
+const toViewMessage = (msg, outputFolder) => {
+  const date = new Date(Number(msg.date) * 1000);
+  let media = null;
+
+  if (msg.hasMedia && msg.mediaPath && msg.mediaPath !== "unknown") {
+    const exists = fs.existsSync(msg.mediaPath);
+    media = {
+      type: msg.mediaType,
+      name: msg.mediaName || path.basename(msg.mediaPath),
+      exists,
+      src: path
+        .relative(outputFolder, msg.mediaPath)
+        .split(path.sep)
+        .map(encodeURIComponent)
+        .join("/"),
+    };
+  }
+
+  return {
+    id: msg.id,
+    out: Boolean(msg.out),
+    sender: msg.senderName || (msg.sender ? `User ${msg.sender}` : ""),
+    day: date.toLocaleDateString("en-GB", { day: "2-digit", month: "long", year: "numeric" }),
+    time: date.toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" }),
+    fullDate: date.toLocaleString("en-GB"),
+    html: formatMessageText(msg.message),
+    media,
+  };
+};
+
+/**
+ * Renders a paginated, chat-style HTML archive of an export folder.
+ * Pages are written next to the message export and reference the downloaded media with
+ * relative paths, so the folder can be moved and opened offline.
+ * @param {string} outputFolder - The channel export folder
+ * @param {Object} [options]
+ * @param {string} [options.title] - Title shown on every page (defaults to the folder name)
+ * @param {number} [options.pageSize=DEFAULT_PAGE_SIZE] - Messages per page
+ * @returns {Promise<string[]>} The paths of the written pages
+ */
+const exportChannelHtml = async (outputFolder, options = {}) => {
+  const title = options.title || path.basename(outputFolder);
+  const pageSize = Number(options.pageSize) > 0 ? Number(options.pageSize) : DEFAULT_PAGE_SIZE;
+
+  const recorded = await readRecordedMessages(outputFolder);
+  const messages = recorded
+    .sort((a, b) => Number(a.id) - Number(b.id))
+    .map((msg) => toViewMessage(msg, outputFolder));
+  const totalPages = Math.max(1, Math.ceil(messages.length / pageSize));
+  const writtenPages = [];
+
+  for (let page = 1; page <= totalPages; page++) {
+    const pageMessages = messages.slice((page - 1) * pageSize, page * pageSize);
+    const html = await ejs.renderFile(TEMPLATE_FILE, {
+      title,
+      messages: pageMessages,
+      page,
+      totalPages,
+      totalMessages: messages.length,
+      pageFileName: getPageFileName,
+      MEDIA_TYPES,
+    });
+
+    const pagePath = path.join(outputFolder, getPageFileName(page));
+    fs.writeFileSync(pagePath, html);
+    writtenPages.push(pagePath);
+  }
+
+  logger.success(
+    `HTML archive written: ${writtenPages[0]} (${messages.length} messages, ${totalPages} page(s))`
+  );
+
+  return writtenPages;
+};
+
+module.exports = {
+  exportChannelHtml,
+  formatMessageText,
+};
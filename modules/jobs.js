@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { parseMediaTypes } = require("../utils/input-helper");
+
+const JOB_TYPES = {
+  CHANNEL: "channel",
+  TOPIC: "topic",
+};
+
+// Job fields passed on to the download commands as their CLI options
+const JOB_OPTIONS = [
+  "channelId",
+  "url",
+  "from_date",
+  "until_date",
+  "sync",
+  "export_html",
+  "output",
+  "concurrency",
+  "filename_template",
+  "folder_layout",
+  "min_size",
+  "max_size",
+  "min_duration",
+  "max_duration",
+  "caption_match",
+  "caption_exclude",
+  "from_user",
+  "exclude_user",
+  "from_id",
+  "to_id",
+];
+
+/**
+ * Builds the options of one job: the file's defaults overlaid with the job's own fields
+ * @param {Object} job - Job entry of the job file
+ * @param {Object} defaults - The `defaults` section of the job file
+ * @param {number} index - Position in the file, used to name unnamed jobs
+ * @returns {{name: string, type: string, options: Object}}
+ * @throws {Error} If the job has neither or both of channelId and url
+ */
+const buildJob = (job, defaults, index) => {
+  const merged = { ...defaults, ...job };
+  const name = merged.name || `job-${index + 1}`;
+
+  if (Boolean(merged.channelId) === Boolean(merged.url)) {
+    throw new Error(`Job "${name}" needs either a channelId or a topic url`);
+  }
+
+  const options = {};
+  JOB_OPTIONS.forEach((key) => {
+    if (merged[key] !== undefined) options[key] = merged[key];
+  });
+  options.downloadableFiles = parseMediaTypes(merged.types);
+
+  return {
+    name,
+    type: merged.url ? JOB_TYPES.TOPIC : JOB_TYPES.CHANNEL,
+    options,
+  };
+};
+
+/**
+ * Reads a JSON or YAML job file.
+ * The file is either a list of jobs, or an object with `jobs` and optional
+ * `defaults` (applied to every job), `parallel`, `max_rate` and, for the daemon,
+ * `interval` or `cron`.
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {{jobs: Array<Object>, parallel: number, maxRate: string, interval: string, cron: string}}
+ * @throws {Error} If the file cannot be read or a job is invalid
+ */
+const loadJobFile = (filePath) => {
+  const content = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+  const data = extension === ".json" ? JSON.parse(content) : yaml.load(content);
+
+  const { jobs = [], defaults = {}, parallel, max_rate: maxRate, interval, cron } = Array.isArray(data)
+    ? { jobs: data }
+    : data || {};
+
+  if (!Array.isArray(jobs) || !jobs.length) {
+    throw new Error(`No jobs found in ${filePath}`);
+  }
+
+  return {
+    jobs: jobs.map((job, index) => buildJob(job, defaults, index)),
+    parallel,
+    maxRate,
+    interval,
+    cron,
+  };
+};
+
+module.exports = {
+  JOB_TYPES,
+  loadJobFile,
+};
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { appendToJSONLinesFile, getSavedMediaPath } = require("../utils/helper");
+const { hashFile } = require("../utils/file-helper");
+const { extractFileInfo } = require("./resumable-download");
+
+const MANIFEST_FILE = "manifest.jsonl";
+
+/**
+ * Gets the manifest path of an export folder
+ * @param {string} outputFolder - The channel export folder
+ * @returns {string}
+ */
+const getManifestPath = (outputFolder) => path.join(outputFolder, MANIFEST_FILE);
+
+/**
+ * Checks whether an export folder has a manifest
+ * @param {string} outputFolder - The channel export folder
+ * @returns {boolean}
+ */
+const hasManifest = (outputFolder) => fs.existsSync(getManifestPath(outputFolder));
+
+/**
+ * Records a downloaded file in the manifest of its export folder.
+ * Paths are stored relative to the folder so the archive can be moved.
+ * @param {string} outputFolder - The channel export folder
+ * @param {Object} entry
+ * @param {number} entry.messageId - The message the file belongs to
+ * @param {number|string} entry.channelId - The channel the message was fetched from
+ * @param {string} entry.mediaPath - Absolute path of the downloaded file
+ * @param {number} entry.expectedSize - Size announced by Telegram, in bytes
+ * @param {string} entry.sha256 - Hex SHA-256 of the file
+ */
+const recordManifestEntry = (outputFolder, { messageId, channelId, mediaPath, expectedSize, sha256 }) => {
+  appendToJSONLinesFile(getManifestPath(outputFolder), [
+    {
+      messageId,
+      channelId: channelId !== null && channelId !== undefined ? String(channelId) : null,
+      path: path.relative(outputFolder, mediaPath).split(path.sep).join("/"),
+      expectedSize,
+      sha256,
+      downloadedAt: new Date().toISOString(),
+    },
+  ]);
+};
+
+/**
+ * Reads the manifest of an export folder.
+ * A file recorded more than once (re-download) keeps its latest entry.
+ * @param {string} outputFolder - The channel export folder
+ * @returns {Array<Object>} Manifest entries, with `absolutePath` resolved against the folder
+ */
+const readManifest = (outputFolder) => {
+  const manifestPath = getManifestPath(outputFolder);
+  if (!fs.existsSync(manifestPath)) return [];
+
+  const byPath = new Map();
+  fs.readFileSync(manifestPath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      try {
+        const entry = JSON.parse(line);
+        byPath.set(entry.path, {
+          ...entry,
+          absolutePath: path.join(outputFolder, ...entry.path.split("/")),
+        });
+      } catch (err) {
+        // Ignore a line cut short by an interrupted run
+      }
+    });
+
+  return Array.from(byPath.values());
+};
+
+/**
+ * Deletes the downloaded files of messages that are damaged, so they are downloaded again:
+ * files whose size is not the one Telegram announces, or whose SHA-256 is not the one
+ * recorded in the manifest
+ * @param {string} outputFolder - The channel export folder
+ * @param {Array<Object>} messages - Telegram message objects
+ * @returns {Promise<number>} Number of files deleted
+ */
+const removeDamagedFiles = async (outputFolder, messages) => {
+  const entriesByPath = new Map(
+    readManifest(outputFolder).map((entry) => [path.resolve(entry.absolutePath), entry])
+  );
+  let removed = 0;
+
+  for (const message of messages) {
+    if (!message?.media?.document && !message?.media?.photo) continue;
+
+    const mediaPath = getSavedMediaPath(message, outputFolder);
+    if (!fs.existsSync(mediaPath)) continue;
+
+    const expectedSize = extractFileInfo(message)?.fileSize?.toJSNumber();
+    const entry = entriesByPath.get(path.resolve(mediaPath));
+    const damaged =
+      (expectedSize && fs.statSync(mediaPath).size !== expectedSize) ||
+      (entry?.sha256 && (await hashFile(mediaPath)) !== entry.sha256);
+
+    if (damaged) {
+      logger.warn(`${path.basename(mediaPath)} is damaged, downloading it again`);
+      fs.unlinkSync(mediaPath);
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  MANIFEST_FILE,
+  hasManifest,
+  recordManifestEntry,
+  readManifest,
+  removeDamagedFiles,
+};
@@ -0,0 +1,247 @@
+const { parseSize, parseDuration } = require("../utils/helper");
+const logger = require("../utils/logger");
+const { extractFileInfo } = require("./resumable-download");
+const { getMessageText } = require("./message-export");
+
+// CLI option of each limit of a media filter
+const FILTER_OPTIONS = {
+  minSize: "min_size",
+  maxSize: "max_size",
+  minDuration: "min_duration",
+  maxDuration: "max_duration",
+};
+const CAPTION_OPTIONS = {
+  captionMatch: "caption_match",
+  captionExclude: "caption_exclude",
+};
+const USER_OPTIONS = {
+  fromUsers: "from_user",
+  excludeUsers: "exclude_user",
+};
+
+/**
+ * Reads the --min_size, --max_size, --min_duration, --max_duration, --caption_match,
+ * --caption_exclude, --from_user and --exclude_user options
+ * @param {Object} [options={}] - CLI options
+ * @returns {Object|null} { minSize, maxSize } in bytes, { minDuration, maxDuration } in seconds,
+ * { captionMatch, captionExclude } as case-insensitive RegExps and { fromUsers, excludeUsers } as
+ * lists of user IDs or usernames (see resolveUserFilter), or null when no filter is given
+ * @throws {Error} If a limit or pattern is invalid, or a minimum is above its maximum
+ */
+const parseMediaFilter = (options = {}) => {
+  const filter = {};
+
+  Object.entries(FILTER_OPTIONS).forEach(([key, option]) => {
+    const value = options[option];
+    if (value === undefined || value === null || value === "") return;
+
+    const isSize = key.endsWith("Size");
+    const parsed = isSize ? parseSize(value) : parseDuration(value);
+    if (parsed === null) {
+      throw new Error(
+        isSize
+          ? `Invalid ${option} "${value}". Expected a size like 500MB, 1.5GB or 100KB`
+          : `Invalid ${option} "${value}". Expected seconds or a duration like 90s, 5m or 1h`
+      );
+    }
+    filter[key] = parsed;
+  });
+
+  Object.entries(CAPTION_OPTIONS).forEach(([key, option]) => {
+    const value = options[option];
+    if (value === undefined || value === null || value === "") return;
+
+    try {
+      filter[key] = new RegExp(String(value), "i");
+    } catch (err) {
+      throw new Error(`Invalid ${option} pattern "${value}": ${err.message}`);
+    }
+  });
+
+  Object.entries(USER_OPTIONS).forEach(([key, option]) => {
+    const users = String(options[option] ?? "")
+      .split(",")
+      .map((user) => user.trim())
+      .filter(Boolean);
+    if (users.length) filter[key] = users;
+  });
+
+  if (filter.minSize !== undefined && filter.maxSize !== undefined && filter.minSize > filter.maxSize) {
+    throw new Error("min_size cannot be above max_size");
+  }
+  if (
+    filter.minDuration !== undefined &&
+    filter.maxDuration !== undefined &&
+    filter.minDuration > filter.maxDuration
+  ) {
+    throw new Error("min_duration cannot be above max_duration");
+  }
+
+  return Object.keys(filter).length ? filter : null;
+};
+
+/**
+ * Looks up the ID of a user given as an ID or a username
+ * @param {Object} client - The Telegram client instance
+ * @param {string} user - e.g. "12345", "@alice" or "alice"
+ * @returns {Promise<string>} The user ID
+ * @throws {Error} If a username cannot be resolved or is not a user
+ */
+const resolveUserId = async (client, user) => {
+  const isId = /^\d+$/.test(user);
+
+  let entity;
+  try {
+    entity = await client.getEntity(isId ? Number(user) : user);
+  } catch (err) {
+    // Users the account has never seen cannot be looked up by ID, but the ID is all the filter needs
+    if (isId) {
+      logger.warn(`Could not look up user ${user}, matching the ID as given`);
+      return user;
+    }
+    throw new Error(`Could not resolve user "${user}": ${err.message}`);
+  }
+
+  if (entity.className !== "User") {
+    throw new Error(`"${user}" is not a user`);
+  }
+  return entity.id.toString();
+};
+
+/**
+ * Resolves the users of --from_user and --exclude_user to their IDs. Only looks them up
+ * the first time, so a filter reused across runs (run-jobs, daemon) is resolved once.
+ * @param {Object} client - The Telegram client instance
+ * @param {Object|null} filter - Result of parseMediaFilter, updated with fromUserIds and excludeUserIds
+ * @returns {Promise<void>}
+ * @throws {Error} If a user cannot be resolved
+ */
+const resolveUserFilter = async (client, filter) => {
+  if (!filter) return;
+
+  for (const [key, idsKey] of [["fromUsers", "fromUserIds"], ["excludeUsers", "excludeUserIds"]]) {
+    if (!filter[key] || filter[idsKey]) continue;
+
+    const ids = new Set();
+    for (const user of filter[key]) {
+      ids.add(await resolveUserId(client, user));
+    }
+    filter[idsKey] = ids;
+  }
+};
+
+/**
+ * Gets the ID of the user who sent a message, as recorded in the message export
+ * @param {Object} message - Telegram message object
+ * @returns {string|undefined}
+ */
+const getSenderId = (message) => (message.fromId?.userId || message.peerId?.userId)?.toString();
+
+/**
+ * Gets the size of the file of a message, the largest size for photos
+ * @param {Object} message - Telegram message object
+ * @returns {number|null} Bytes, or null if unknown
+ */
+const getMediaSize = (message) => {
+  const fileSize = extractFileInfo(message)?.fileSize;
+  return fileSize ? fileSize.toJSNumber() : null;
+};
+
+/**
+ * Gets the duration of a video, voice note or audio file
+ * @param {Object} message - Telegram message object
+ * @returns {number|null} Seconds, or null for media without a duration
+ */
+const getMediaDuration = (message) => {
+  const attributes = message.media?.document?.attributes || [];
+  const attribute = attributes.find(
+    (attr) =>
+      attr.className === "DocumentAttributeVideo" ||
+      attr.className === "DocumentAttributeAudio"
+  );
+  return attribute && typeof attribute.duration === "number" ? attribute.duration : null;
+};
+
+/**
+ * Collects the captions of the albums among a batch of messages. Telegram puts the
+ * caption of an album on one of its messages only.
+ * @param {Array} messages - Telegram message objects
+ * @returns {Map<string, string>} groupedId => caption, with its entities resolved (see getMessageText)
+ */
+const getAlbumCaptions = (messages) => {
+  const captions = new Map();
+
+  messages.forEach((message) => {
+    if (!message?.groupedId) return;
+
+    const text = getMessageText(message);
+    if (text) captions.set(String(message.groupedId), text);
+  });
+
+  return captions;
+};
+
+/**
+ * Gets the caption the caption patterns are matched against: the message text as
+ * recorded in the message export, or the caption of its album
+ * @param {Object} message - Telegram message object
+ * @param {Map<string, string>} [albumCaptions] - Result of getAlbumCaptions
+ * @returns {string}
+ */
+const getFilterCaption = (message, albumCaptions) =>
+  getMessageText(message) ||
+  (message.groupedId && albumCaptions?.get(String(message.groupedId))) ||
+  "";
+
+/**
+ * Checks a message against a media filter. The duration limits only apply to
+ * media that have a duration, so --max_duration does not skip photos or PDFs.
+ * @param {Object} message - Telegram message object
+ * @param {Object|null} filter - Result of parseMediaFilter
+ * @param {Map<string, string>} [albumCaptions] - Captions of the albums of the batch, so every
+ * part of an album is matched against the album's caption
+ * @returns {boolean} True if the media should be downloaded
+ */
+const matchesMediaFilter = (message, filter, albumCaptions = null) => {
+  if (!filter) return true;
+
+  if (filter.captionMatch || filter.captionExclude) {
+    const caption = getFilterCaption(message, albumCaptions);
+    if (filter.captionMatch && !filter.captionMatch.test(caption)) return false;
+    if (filter.captionExclude && filter.captionExclude.test(caption)) return false;
+  }
+
+  if (filter.fromUserIds || filter.excludeUserIds) {
+    const senderId = getSenderId(message);
+    if (filter.fromUserIds && !filter.fromUserIds.has(senderId)) return false;
+    if (filter.excludeUserIds && filter.excludeUserIds.has(senderId)) return false;
+  }
+
+  if (filter.minSize !== undefined || filter.maxSize !== undefined) {
+    const size = getMediaSize(message);
+    if (size !== null) {
+      if (filter.minSize !== undefined && size < filter.minSize) return false;
+      if (filter.maxSize !== undefined && size > filter.maxSize) return false;
+    }
+  }
+
+  if (filter.minDuration !== undefined || filter.maxDuration !== undefined) {
+    const duration = getMediaDuration(message);
+    if (duration !== null) {
+      if (filter.minDuration !== undefined && duration < filter.minDuration) return false;
+      if (filter.maxDuration !== undefined && duration > filter.maxDuration) return false;
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  FILTER_OPTIONS,
+  parseMediaFilter,
+  getMediaSize,
+  getMediaDuration,
+  getAlbumCaptions,
+  resolveUserFilter,
+  matchesMediaFilter,
+};
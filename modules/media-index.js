@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { getTrackingDirectory } = require("../utils/helper");
+const { hashFile } = require("../utils/file-helper");
+
+const INDEX_FILE = "media_index.jsonl";
+
+// In-memory view of the index, loaded on first use
+let mediaByKey = null; // "document:<id>" / "photo:<id>" -> { path, size, sha256 }
+let pathByHash = null; // sha256 -> path
+let keyByPath = null; // resolved path -> key of the latest entry written for it
+
+const getIndexFilePath = () => path.join(getTrackingDirectory(), INDEX_FILE);
+
+/**
+ * Loads the global media index shared by all download commands.
+ * The index is an append-only JSON Lines file; later lines win.
+ */
+const loadIndex = () => {
+  if (mediaByKey) return;
+
+  mediaByKey = new Map();
+  pathByHash = new Map();
+  keyByPath = new Map();
+
+  const indexFile = getIndexFilePath();
+  if (!fs.existsSync(indexFile)) return;
+
+  fs.readFileSync(indexFile, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.key) mediaByKey.set(entry.key, entry);
+        if (entry.sha256) pathByHash.set(entry.sha256, entry.path);
+        if (entry.path) keyByPath.set(path.resolve(entry.path), entry.key || null);
+      } catch (err) {
+        // Ignore a line cut short by an interrupted run
+      }
+    });
+};
+
+/**
+ * Gets the index key of a message's media: the Telegram document or photo ID
+ * @param {Object} message - Telegram message object
+ * @returns {string|null}
+ */
+const getMediaKey = (message) => {
+  const media = message?.media;
+  if (media?.document?.id) return `document:${media.document.id}`;
+  if (media?.photo?.id) return `photo:${media.photo.id}`;
+  return null;
+};
+
+/**
+ * Checks that an indexed file still exists with its recorded size
+ * @param {Object} entry - Index entry
+ * @returns {boolean}
+ */
+const isEntryValid = (entry) => {
+  try {
+    return fs.statSync(entry.path).size === entry.size;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Checks whether the media of a message has been downloaded and is still on disk
+ * @param {Object} message - Telegram message object
+ * @param {string} [mediaPath] - Only count a download to this path
+ * @returns {boolean}
+ */
+const isMediaIndexed = (message, mediaPath = null) => {
+  const key = getMediaKey(message);
+  if (!key) return false;
+
+  loadIndex();
+  const entry = mediaByKey.get(key);
+  if (!entry || !isEntryValid(entry)) return false;
+  return !mediaPath || path.resolve(entry.path) === path.resolve(mediaPath);
+};
+
+/**
+ * Gets the media a file was last indexed for
+ * @param {string} mediaPath - File path
+ * @returns {string|null} The index key (see getMediaKey), or null if the file is not indexed
+ */
+const getIndexedMediaKey = (mediaPath) => {
+  loadIndex();
+  return keyByPath.get(path.resolve(mediaPath)) || null;
+};
+
+/**
+ * Creates mediaPath as a hard link to an existing file, falling back to a symbolic link
+ * when hard links are not possible (different filesystem, unsupported filesystem)
+ * @param {string} existingPath - The already downloaded file
+ * @param {string} mediaPath - The path to create
+ */
+const linkFile = (existingPath, mediaPath) => {
+  fs.mkdirSync(path.dirname(mediaPath), { recursive: true });
+  try {
+    fs.linkSync(existingPath, mediaPath);
+  } catch (err) {
+    if (err.code === "EEXIST") throw err;
+    fs.symlinkSync(path.resolve(existingPath), mediaPath);
+  }
+};
+
+/**
+ * Links mediaPath to an earlier download of the same Telegram media, if there is one
+ * @param {Object} message - Telegram message object
+ * @param {string} mediaPath - Destination file path
+ * @returns {Object|null} The index entry of the linked file, or null if it still needs to be downloaded
+ */
+const linkIndexedMedia = (message, mediaPath) => {
+  const key = getMediaKey(message);
+  if (!key) return null;
+
+  loadIndex();
+  const entry = mediaByKey.get(key);
+  if (!entry || !isEntryValid(entry)) return null;
+  if (path.resolve(entry.path) === path.resolve(mediaPath)) return null;
+
+  try {
+    linkFile(entry.path, mediaPath);
+    logger.info(`Linked ${path.basename(mediaPath)} to existing download ${entry.path}`);
+    return entry;
+  } catch (err) {
+    logger.warn(`Could not link ${mediaPath} to ${entry.path}: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * Adds a finished download to the index.
+ * If a file with the same content was downloaded before (e.g. re-uploaded under another ID),
+ * the new copy is replaced with a link to it.
+ * @param {Object} message - Telegram message object
+ * @param {string} mediaPath - The downloaded file
+ * @returns {Promise<Object>} The index entry: { key, path, size, sha256 }
+ */
+const registerDownloadedMedia = async (message, mediaPath) => {
+  loadIndex();
+
+  const sha256 = await hashFile(mediaPath);
+  const existingPath = pathByHash.get(sha256);
+
+  if (
+    existingPath &&
+    path.resolve(existingPath) !== path.resolve(mediaPath) &&
+    fs.existsSync(existingPath)
+  ) {
+    try {
+      const tempPath = `${mediaPath}.dedupe`;
+      linkFile(existingPath, tempPath);
+      fs.renameSync(tempPath, mediaPath);
+      logger.info(`${path.basename(mediaPath)} is identical to ${existingPath}, replaced with a link`);
+    } catch (err) {
+      logger.warn(`Could not link ${mediaPath} to ${existingPath}: ${err.message}`);
+    }
+  }
+
+  const entry = {
+    key: getMediaKey(message),
+    path: path.resolve(mediaPath),
+    size: fs.statSync(mediaPath).size,
+    sha256,
+  };
+
+  if (entry.key) mediaByKey.set(entry.key, entry);
+  keyByPath.set(entry.path, entry.key);
+  if (!pathByHash.has(sha256) || !fs.existsSync(pathByHash.get(sha256))) {
+    pathByHash.set(sha256, entry.path);
+  }
+  fs.appendFileSync(getIndexFilePath(), `${JSON.stringify(entry)}\n`);
+
+  return entry;
+};
+
+module.exports = {
+  getMediaKey,
+  isMediaIndexed,
+  getIndexedMediaKey,
+  linkIndexedMedia,
+  registerDownloadedMedia,
+};
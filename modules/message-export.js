@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const logger = require("../utils/logger");
+const {
+  getMediaType,
+  getSavedMediaPath,
+  getSenderName,
+  appendToJSONLinesFile,
+  circularStringify,
+} = require("../utils/helper");
+
+const MESSAGES_JSONL_FILE = "all_message.jsonl";
+const MESSAGES_JSON_FILE = "all_message.json";
+
+/**
+ * Gets the link target of a text entity
+ * @param {Object} entity - Telegram message entity
+ * @returns {string|null} The URL of a text link or the tg:// link of a mentioned user, otherwise null
+ */
+const getEntityUrl = (entity) => {
+  if (entity.className === "MessageEntityTextUrl") return entity.url;
+  if (entity.className === "MessageEntityMentionName") return `tg://user?id=${entity.userId}`;
+  return null;
+};
+
+/**
+ * Converts the text of a message to the recorded format, turning text URL entities and
+ * mentions of users without a username into links. The entities of the message are left as is.
+ * @param {Object} msg - Telegram message object
+ * @returns {string}
+ */
+const getMessageText = (msg) => {
+  let messageText = msg.message || "";
+  if (msg.entities && msg.entities.length > 0) {
+    // From the end of the text, so the offsets of the other entities stay valid
+    [...msg.entities]
+      .sort((a, b) => b.offset - a.offset)
+      .forEach((entity) => {
+        const url = getEntityUrl(entity);
+        if (url) {
+          const linkText = messageText.substring(entity.offset, entity.offset + entity.length);
+          messageText =
+            messageText.substring(0, entity.offset) +
+            `<a href="${url}">${linkText}</a>` +
+            messageText.substring(entity.offset + entity.length);
+        }
+      });
+  }
+  return messageText;
+};
+
+/**
+ * Converts a Telegram message into the record stored in the message export
+ * @param {Object} msg - Telegram message object
+ * @param {string} outputFolder - The channel export folder
+ * @returns {Object}
+ */
+const serializeMessage = (msg, outputFolder) => {
+  const hasMedia = Boolean(msg.media);
+  // The media is already on disk, getMediaPath would see it and return a collision name
+  const mediaPath = hasMedia ? getSavedMediaPath(msg, outputFolder) : undefined;
+
+  return {
+    id: msg.id,
+    message: getMessageText(msg),
+    date: msg.date,
+    out: msg.out,
+    hasMedia,
+    sender: msg.fromId?.userId || msg.peerId?.userId,
+    senderName: getSenderName(msg),
+    mediaType: hasMedia ? getMediaType(msg) : undefined,
+    mediaPath,
+    mediaName: hasMedia ? path.basename(mediaPath) : undefined,
+  };
+};
+
+/**
+ * Moves the records of a legacy all_message.json (array of batches) into all_message.jsonl.
+ * Only runs once per folder: as soon as the JSONL file exists it is the source of truth.
+ * @param {string} outputFolder - The channel export folder
+ */
+const migrateLegacyExport = (outputFolder) => {
+  const jsonlPath = path.join(outputFolder, MESSAGES_JSONL_FILE);
+  const jsonPath = path.join(outputFolder, MESSAGES_JSON_FILE);
+  if (fs.existsSync(jsonlPath) || !fs.existsSync(jsonPath)) return;
+
+  try {
+    const legacy = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    const records = (Array.isArray(legacy) ? legacy : [legacy]).flat(Infinity);
+    appendToJSONLinesFile(jsonlPath, records);
+    logger.info(`Migrated ${records.length} messages from ${MESSAGES_JSON_FILE} to ${MESSAGES_JSONL_FILE}`);
+  } catch (err) {
+    logger.warn(`Could not migrate ${jsonPath}: ${err.message}`);
+  }
+};
+
+/**
+ * Appends messages to the JSON Lines export of a folder (one message per line)
+ * @param {string} outputFolder - The channel export folder
+ * @param {Array<Object>} messages - Telegram message objects
+ */
+const appendMessagesToExport = (outputFolder, messages) => {
+  if (!fs.existsSync(outputFolder)) {
+    fs.mkdirSync(outputFolder, { recursive: true });
+  }
+  migrateLegacyExport(outputFolder);
+
+  const records = messages.map((msg) => serializeMessage(msg, outputFolder));
+  appendToJSONLinesFile(path.join(outputFolder, MESSAGES_JSONL_FILE), records);
+};
+
+/**
+ * Iterates over the records of a JSON Lines file without loading it into memory
+ * @param {string} filePath - Path to the .jsonl file
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateJSONLines(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, "utf8"),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (err) {
+      // A line cut short by an interrupted run - skip it
+      logger.warn(`Skipping malformed line in ${filePath}`);
+    }
+  }
+}
+
+/**
+ * Checks whether a folder contains a message export in any format
+ * @param {string} outputFolder - The channel export folder
+ * @returns {boolean}
+ */
+const hasMessageExport = (outputFolder) => {
+  return (
+    fs.existsSync(path.join(outputFolder, MESSAGES_JSONL_FILE)) ||
+    fs.existsSync(path.join(outputFolder, MESSAGES_JSON_FILE))
+  );
+};
+
+/**
+ * Lists the folders of an export directory that contain a message export
+ * @param {string} exportPath - The export directory
+ * @param {Function} [predicate=hasMessageExport] - Receives a folder path, decides whether to list it
+ * @returns {string[]} Folder names, sorted
+ */
+const listExportFolders = (exportPath, predicate = hasMessageExport) => {
+  return fs
+    .readdirSync(exportPath, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .filter((entry) => predicate(path.join(exportPath, entry.name)))
+    .map((entry) => entry.name)
+    .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Reads every recorded message of a folder.
+ * Messages recorded more than once (reruns, edits) keep their latest version.
+ * @param {string} outputFolder - The channel export folder
+ * @returns {Promise<Array<Object>>} The records, in the order they were first recorded
+ */
+const readRecordedMessages = async (outputFolder) => {
+  const jsonlPath = path.join(outputFolder, MESSAGES_JSONL_FILE);
+  const jsonPath = path.join(outputFolder, MESSAGES_JSON_FILE);
+  const byId = new Map();
+
+  if (fs.existsSync(jsonlPath)) {
+    for await (const record of iterateJSONLines(jsonlPath)) {
+      if (record && record.id !== undefined) byId.set(Number(record.id), record);
+    }
+  } else if (fs.existsSync(jsonPath)) {
+    const data = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    (Array.isArray(data) ? data : [data]).flat(Infinity).forEach((record) => {
+      if (record && record.id !== undefined) byId.set(Number(record.id), record);
+    });
+  } else {
+    throw new Error(`No ${MESSAGES_JSONL_FILE} found in ${outputFolder}`);
+  }
+
+  return Array.from(byId.values());
+};
+
+/**
+ * Writes a flat all_message.json array from the folder's all_message.jsonl.
+ * The JSONL file is streamed twice (once to find the latest version of each message,
+ * once to write), so memory use does not grow with the size of the channel.
+ * @param {string} outputFolder - The channel export folder
+ * @returns {Promise<number>} The number of messages written
+ */
+const convertExportToJSONArray = async (outputFolder) => {
+  const jsonlPath = path.join(outputFolder, MESSAGES_JSONL_FILE);
+  const jsonPath = path.join(outputFolder, MESSAGES_JSON_FILE);
+  migrateLegacyExport(outputFolder);
+
+  if (!fs.existsSync(jsonlPath)) {
+    throw new Error(`No ${MESSAGES_JSONL_FILE} found in ${outputFolder}`);
+  }
+
+  const latestLine = new Map();
+  let lineNumber = 0;
+  for await (const record of iterateJSONLines(jsonlPath)) {
+    latestLine.set(Number(record.id), lineNumber++);
+  }
+
+  const tempPath = `${jsonPath}.tmp`;
+  const output = fs.createWriteStream(tempPath, "utf8");
+  const write = (chunk) =>
+    new Promise((resolve, reject) => {
+      output.write(chunk, (err) => (err ? reject(err) : resolve()));
+    });
+
+  let written = 0;
+  lineNumber = 0;
+  await write("[");
+  for await (const record of iterateJSONLines(jsonlPath)) {
+    if (latestLine.get(Number(record.id)) === lineNumber++) {
+      await write(`${written ? "," : ""}\n${circularStringify(record, 2).replace(/^/gm, "  ")}`);
+      written++;
+    }
+  }
+  await write("\n]\n");
+  await new Promise((resolve) => output.end(resolve));
+
+  fs.renameSync(tempPath, jsonPath);
+  return written;
+};
+
+module.exports = {
+  MESSAGES_JSONL_FILE,
+  MESSAGES_JSON_FILE,
+  getMessageText,
+  serializeMessage,
+  appendMessagesToExport,
+  readRecordedMessages,
+  convertExportToJSONArray,
+  hasMessageExport,
+  listExportFolders,
+};
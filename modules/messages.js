@@ -1,18 +1,35 @@
 const path = require("path");
 const logger = require("../utils/logger");
 const { wait } = require("../utils/helper");
-const { resumableDownload, getPartialFileSize, getPartialFilePath } = require("./resumable-download");
+const {
+  resumableDownload,
+  getDownloadedSize,
+  extractFileInfo,
+} = require("./resumable-download");
+const { linkIndexedMedia, registerDownloadedMedia } = require("./media-index");
+const { recordManifestEntry } = require("./manifest");
+const { HOOK_EVENTS, emitHook, getFilePayload } = require("./hooks");
 
 const MAX_RETRIES = 5;
 const RETRY_DELAYS = [5, 15, 30, 60, 120]; // seconds
 
-const getMessages = async (client, channelId, limit = 10, offsetId = 0, topicId = null) => {
+/**
+ * Fetches a page of messages from a channel (or one of its topics)
+ * @param {TelegramClient} client - The Telegram client
+ * @param {number|string} channelId - The channel ID
+ * @param {number} limit - Maximum number of messages to fetch
+ * @param {number} offsetId - Only fetch messages older than this ID (0 for the newest)
+ * @param {number|null} topicId - Restrict to the replies of this topic
+ * @param {Object} range - Extra iterator options: { minId, maxId, reverse }
+ * @returns {Promise<Array>} The messages, newest first unless range.reverse is set
+ */
+const getMessages = async (client, channelId, limit = 10, offsetId = 0, topicId = null, range = {}) => {
   if (!client || !channelId) {
     throw new Error("Client and channelId are required");
   }
 
   try {
-    const options = { limit, offsetId };
+    const options = { limit, offsetId, ...range };
     if (topicId) {
       options.replyTo = topicId;
     }
@@ -36,7 +53,32 @@ const getMessageDetail = async (client, channelId, messageIds) => {
   }
 };
 
-const downloadMessageMedia = async (client, message, mediaPath, channelId = null, progressManager = null, retryCount = 0) => {
+/**
+ * Drops the album at the end of a full page of messages, whose other parts may be on the
+ * next page, so the album is handled as a whole with the next page
+ * @param {Array} messages - A page of messages, in the order they were fetched
+ * @returns {Array}
+ */
+const withoutTrailingAlbum = (messages) => {
+  const groupedId = messages[messages.length - 1].groupedId?.toString();
+  if (!groupedId) return messages;
+
+  const rest = messages.filter((msg) => msg.groupedId?.toString() !== groupedId);
+  return rest.length ? rest : messages;
+};
+
+/**
+ * Downloads the media of a message, resuming partial downloads and retrying transient errors
+ * @param {TelegramClient} client - The Telegram client
+ * @param {Object} message - The message containing media
+ * @param {string} mediaPath - Destination file path
+ * @param {number|string} channelId - Channel of the message, used to refresh expired file references
+ * @param {ProgressManager} progressManager - Optional progress display
+ * @param {string} outputFolder - Export folder whose manifest records the file
+ * @param {number} retryCount - Internal retry counter
+ * @returns {Promise<boolean>} True if the file is on disk
+ */
+const downloadMessageMedia = async (client, message, mediaPath, channelId = null, progressManager = null, outputFolder = null, retryCount = 0) => {
   const downloadId = message.id;
   const filename = path.basename(mediaPath);
 
@@ -55,6 +97,21 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
         return false;
       }
 
+      const expectedSize = extractFileInfo(message)?.fileSize?.toJSNumber() || null;
+      const addToManifest = (sha256) => {
+        if (outputFolder) {
+          recordManifestEntry(outputFolder, { messageId: message.id, channelId, mediaPath, expectedSize, sha256 });
+        }
+      };
+
+      // Same media already downloaded (possibly for another channel) - link instead of fetching
+      const linkedEntry = retryCount === 0 ? linkIndexedMedia(message, mediaPath) : null;
+      if (linkedEntry) {
+        addToManifest(linkedEntry.sha256);
+        await emitHook(HOOK_EVENTS.FILE, getFilePayload(message, mediaPath, channelId));
+        return true;
+      }
+
       // Get total file size for progress tracking
       const totalBytes =
         message.media?.document?.size ||
@@ -62,8 +119,7 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
         0;
 
       // Check for existing partial download to adjust initial progress
-      const partialPath = getPartialFilePath(mediaPath);
-      const existingBytes = getPartialFileSize(partialPath);
+      const existingBytes = getDownloadedSize(mediaPath);
 
       // Register with progress manager if available (only on first attempt)
       if (progressManager && retryCount === 0) {
@@ -75,7 +131,7 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
       }
 
       // Use resumable download
-      await resumableDownload(client, message, mediaPath, (downloaded, total) => {
+      const downloaded = await resumableDownload(client, message, mediaPath, (downloaded, total) => {
         if (progressManager) {
           progressManager.updateProgress(downloadId, downloaded, total);
         }
@@ -85,6 +141,21 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
         }
       });
 
+      if (!downloaded) {
+        if (progressManager) {
+          progressManager.failDownload(downloadId);
+        }
+        await emitHook(HOOK_EVENTS.FAILURE, {
+          ...getFilePayload(message, mediaPath, channelId),
+          error: "Download incomplete",
+        });
+        return false;
+      }
+
+      const { sha256 } = await registerDownloadedMedia(message, mediaPath);
+      addToManifest(sha256);
+      await emitHook(HOOK_EVENTS.FILE, getFilePayload(message, mediaPath, channelId));
+
       // Mark complete
       if (progressManager) {
         progressManager.completeDownload(downloadId, true);
@@ -107,7 +178,7 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
         const refreshedMessages = await getMessageDetail(client, channelId, [message.id]);
         if (refreshedMessages && refreshedMessages[0]) {
           await wait(2); // Brief wait before retry
-          return downloadMessageMedia(client, refreshedMessages[0], mediaPath, channelId, progressManager, retryCount + 1);
+          return downloadMessageMedia(client, refreshedMessages[0], mediaPath, channelId, progressManager, outputFolder, retryCount + 1);
         }
       } catch (refreshErr) {
         logger.error(`Failed to refresh message: ${refreshErr.message}`);
@@ -121,6 +192,7 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
       errorMessage.includes("Timeout") ||
       errorMessage.includes("FLOOD") ||
       errorMessage.includes("timeout") ||
+      errorMessage.includes("SIZE_MISMATCH") || // Truncated stream, resume from the partial file
       (errorCode >= 500 && errorCode < 600); // Server errors
 
     if (isRetryable && retryCount < MAX_RETRIES) {
@@ -134,7 +206,7 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
         logger.warn(`Download failed for ${filename}, retrying in ${waitTime}s (attempt ${retryCount + 1}/${MAX_RETRIES})`);
       }
       await wait(waitTime);
-      return downloadMessageMedia(client, message, mediaPath, channelId, progressManager, retryCount + 1);
+      return downloadMessageMedia(client, message, mediaPath, channelId, progressManager, outputFolder, retryCount + 1);
     }
 
     // Mark as failed in progress manager
@@ -144,6 +216,10 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
 
     logger.error(`Error downloading message ${message.id}: ${errorMessage}`);
     console.error(err);
+    await emitHook(HOOK_EVENTS.FAILURE, {
+      ...getFilePayload(message, mediaPath, channelId),
+      error: errorMessage,
+    });
     return false;
   }
 };
@@ -151,5 +227,6 @@ const downloadMessageMedia = async (client, message, mediaPath, channelId = null
 module.exports = {
   getMessages,
   getMessageDetail,
+  withoutTrailingAlbum,
   downloadMessageMedia,
 };
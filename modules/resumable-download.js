@@ -4,9 +4,12 @@ const bigInt = require("big-integer");
 const { Api } = require("telegram/tl");
 const { iterDownload } = require("telegram/client/downloads");
 const logger = require("../utils/logger");
+const { rateLimiter } = require("../utils/rate-limiter");
 
 const MIN_CHUNK_SIZE = 4096;
 const DEFAULT_PART_SIZE_KB = 512; // 512KB chunks
+const MULTI_RANGE_MIN_SIZE = 64 * 1024 * 1024; // Split files of 64MB and more into ranges
+const MULTI_RANGE_COUNT = 4; // Ranges fetched concurrently per file
 
 /**
  * Get the partial file path for a media file
@@ -34,6 +37,172 @@ const getPartialFileSize = (partialPath) => {
   return 0;
 };
 
+/**
+ * Get the path of the range state file kept next to a multi-range partial download
+ * @param {string} mediaPath - The final destination path
+ * @returns {string} Path with .partial.json extension
+ */
+const getRangeStatePath = (mediaPath) => {
+  return getPartialFilePath(mediaPath) + ".json";
+};
+
+/**
+ * Read the range state of a multi-range partial download
+ * @param {string} mediaPath - The final destination path
+ * @param {number} fileSize - Expected file size, the state is discarded if it differs
+ * @returns {Object|null} { fileSize, partSize, ranges: [{ start, end, downloaded }] } or null
+ */
+const readRangeState = (mediaPath, fileSize) => {
+  try {
+    const state = JSON.parse(fs.readFileSync(getRangeStatePath(mediaPath), "utf8"));
+    if (state.fileSize === fileSize && fs.existsSync(getPartialFilePath(mediaPath))) {
+      return state;
+    }
+  } catch (err) {
+    // No state or unreadable state - start fresh
+  }
+  return null;
+};
+
+/**
+ * Get how many bytes of a file have already been downloaded, for both
+ * sequential (.partial) and multi-range (.partial + .partial.json) downloads
+ * @param {string} mediaPath - The final destination path
+ * @returns {number} Size in bytes, or 0
+ */
+const getDownloadedSize = (mediaPath) => {
+  try {
+    const state = JSON.parse(fs.readFileSync(getRangeStatePath(mediaPath), "utf8"));
+    return state.ranges.reduce((sum, range) => sum + range.downloaded, 0);
+  } catch (err) {
+    return getPartialFileSize(getPartialFilePath(mediaPath));
+  }
+};
+
+/**
+ * Split a file into ranges aligned to the request part size
+ * @param {number} fileSize - Total size in bytes
+ * @param {number} partSize - Request size in bytes
+ * @returns {Object} A fresh range state
+ */
+const createRangeState = (fileSize, partSize) => {
+  const rangeSize = Math.ceil(fileSize / MULTI_RANGE_COUNT / partSize) * partSize;
+  const ranges = [];
+  for (let start = 0; start < fileSize; start += rangeSize) {
+    ranges.push({ start, end: Math.min(start + rangeSize, fileSize), downloaded: 0 });
+  }
+  return { fileSize, partSize, ranges };
+};
+
+/**
+ * Download a file as several ranges fetched concurrently, each written in place
+ * into the partial file. Progress of every range is kept in the .partial.json
+ * state file, so an interrupted download resumes each range where it stopped.
+ * @param {TelegramClient} client - The Telegram client
+ * @param {Object} fileInfo - Result of extractFileInfo
+ * @param {string} mediaPath - Destination file path
+ * @param {Array|undefined} msgData - [inputChat, messageId] for file reference refresh
+ * @param {Function} progressCallback - Optional callback (downloaded, total)
+ * @returns {Promise<boolean>} True if successful
+ */
+const multiRangeDownload = async (client, fileInfo, mediaPath, msgData, progressCallback) => {
+  const { inputLocation, dcId, fileSize } = fileInfo;
+  const totalSize = fileSize.toJSNumber();
+  const partialPath = getPartialFilePath(mediaPath);
+  const statePath = getRangeStatePath(mediaPath);
+  const filename = path.basename(mediaPath);
+
+  let state = readRangeState(mediaPath, totalSize);
+  if (state) {
+    // Resume every range on a part boundary so requests stay aligned
+    state.ranges.forEach((range) => {
+      if (range.start + range.downloaded < range.end) {
+        range.downloaded -= range.downloaded % state.partSize;
+      }
+    });
+    logger.info(`Resuming ${filename} from ${formatBytes(getDownloadedSize(mediaPath))}`);
+  } else {
+    state = createRangeState(totalSize, DEFAULT_PART_SIZE_KB * 1024);
+    fs.writeFileSync(partialPath, "");
+  }
+
+  const saveState = () => fs.writeFileSync(statePath, JSON.stringify(state));
+  saveState();
+
+  const getDownloaded = () => state.ranges.reduce((sum, range) => sum + range.downloaded, 0);
+  const fileHandle = await fs.promises.open(partialPath, "r+");
+  let aborted = false;
+
+  const downloadRange = async (range) => {
+    const remaining = range.end - range.start - range.downloaded;
+    if (remaining <= 0) return;
+
+    const downloadIter = iterDownload(client, {
+      file: inputLocation,
+      offset: bigInt(range.start + range.downloaded),
+      requestSize: state.partSize,
+      limit: Math.ceil(remaining / state.partSize),
+      fileSize: fileSize,
+      dcId: dcId,
+      msgData: msgData,
+    });
+
+    for await (const chunk of downloadIter) {
+      if (aborted) return;
+
+      const position = range.start + range.downloaded;
+      const length = Math.min(chunk.length, range.end - position);
+      await fileHandle.write(chunk, 0, length, position);
+      range.downloaded += length;
+      saveState();
+
+      if (progressCallback) {
+        progressCallback(getDownloaded(), totalSize);
+      }
+
+      // Shared limit across all downloads - waits before the next chunk is requested
+      await rateLimiter.consume(length);
+
+      if (range.start + range.downloaded >= range.end) return;
+    }
+  };
+
+  try {
+    const results = await Promise.allSettled(
+      state.ranges.map((range) =>
+        downloadRange(range).catch((err) => {
+          aborted = true;
+          throw err;
+        })
+      )
+    );
+    await fileHandle.close();
+
+    const failed = results.find((result) => result.status === "rejected");
+    if (failed) throw failed.reason;
+
+    // Never promote a truncated file to its final name
+    const downloaded = getDownloaded();
+    const writtenSize = getPartialFileSize(partialPath);
+    if (downloaded !== totalSize || writtenSize !== totalSize) {
+      throw new Error(
+        `SIZE_MISMATCH: expected ${totalSize} bytes, got ${Math.min(downloaded, writtenSize)}`
+      );
+    }
+
+    fs.renameSync(partialPath, mediaPath);
+    fs.unlinkSync(statePath);
+
+    return true;
+  } catch (err) {
+    await fileHandle.close().catch(() => {});
+
+    // Keep the partial file and range state - we can resume later
+    logger.error(`Download error for ${filename}: ${err.message}`);
+    throw err;
+  }
+};
+
 /**
  * Format bytes to human-readable string
  * @param {number} bytes
@@ -126,6 +295,25 @@ const resumableDownload = async (client, message, mediaPath, progressCallback =
   const partialPath = getPartialFilePath(mediaPath);
   const filename = path.basename(mediaPath);
 
+  // Ensure directory exists
+  const dir = path.dirname(mediaPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Prepare msgData for file reference refresh (important for long downloads)
+  const msgData = message.inputChat ? [message.inputChat, message.id] : undefined;
+
+  // Large files are fetched as concurrent ranges, unless a sequential download is already under way
+  const hasRangeState = fs.existsSync(getRangeStatePath(mediaPath));
+  if (
+    fileSize &&
+    fileSize.toJSNumber() >= MULTI_RANGE_MIN_SIZE &&
+    (hasRangeState || getPartialFileSize(partialPath) === 0)
+  ) {
+    return multiRangeDownload(client, fileInfo, mediaPath, msgData, progressCallback);
+  }
+
   // Check for existing partial download
   let existingSize = getPartialFileSize(partialPath);
   let offset = bigInt(existingSize);
@@ -145,15 +333,6 @@ const resumableDownload = async (client, message, mediaPath, progressCallback =
     logger.info(`Resuming ${filename} from ${formatBytes(existingSize)}`);
   }
 
-  // Ensure directory exists
-  const dir = path.dirname(mediaPath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-
-  // Prepare msgData for file reference refresh (important for long downloads)
-  const msgData = message.inputChat ? [message.inputChat, message.id] : undefined;
-
   // Calculate part size
   const partSizeKb = DEFAULT_PART_SIZE_KB;
   const partSize = partSizeKb * 1024;
@@ -195,11 +374,24 @@ const resumableDownload = async (client, message, mediaPath, progressCallback =
           totalSize.toJSNumber()
         );
       }
+
+      await rateLimiter.consume(chunk.length);
     }
 
     // Close write stream
     await new Promise((resolve) => writeStream.end(resolve));
 
+    // Never promote a truncated (or overlong) file to its final name
+    const writtenSize = getPartialFileSize(partialPath);
+    if (fileSize && writtenSize !== fileSize.toJSNumber()) {
+      if (writtenSize > fileSize.toJSNumber()) {
+        fs.unlinkSync(partialPath);
+      }
+      throw new Error(
+        `SIZE_MISMATCH: expected ${fileSize.toJSNumber()} bytes, got ${writtenSize}`
+      );
+    }
+
     // Rename partial file to final name
     fs.renameSync(partialPath, mediaPath);
 
@@ -218,6 +410,7 @@ module.exports = {
   resumableDownload,
   getPartialFilePath,
   getPartialFileSize,
+  getDownloadedSize,
   extractFileInfo,
   formatBytes,
 };
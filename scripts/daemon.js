@@ -0,0 +1,226 @@
+"use strict";
+
+const path = require("path");
+const { initAuth } = require("../modules/auth");
+const { loadJobFile } = require("../modules/jobs");
+const RunJobs = require("./run-jobs");
+const DownloadQueue = require("../utils/download-queue");
+const { createSchedule } = require("../utils/schedule");
+const { rateLimiter } = require("../utils/rate-limiter");
+const { configureHooks } = require("../modules/hooks");
+const logger = require("../utils/logger");
+
+// setTimeout fires right away past 2^31-1 ms (about 24.8 days), so longer waits are split
+const MAX_TIMER_DELAY = 24 * 24 * 60 * 60 * 1000;
+
+/**
+ * Keeps running the jobs of a job file on an interval or cron schedule,
+ * with one Telegram connection for the whole lifetime of the process.
+ *
+ * Usage:
+ *   node cli.js daemon --file=jobs.yaml --interval=15m
+ *   node cli.js daemon --file=jobs.yaml --cron="0 *\/6 * * *"
+ */
+class Daemon {
+  constructor() {
+    this.client = null;
+    this.jobs = [];
+    this.queue = null;
+    this.schedule = null;
+    this.timer = null;
+    this.currentRun = null; // Promise of the run in progress, the overlap guard
+    this.stopping = false;
+  }
+
+  static description() {
+    return "Re-run the jobs of a job file on an interval or cron schedule";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js daemon --file=<jobs.yaml|jobs.json> (--interval=<interval> | --cron=<expression>)
+
+Runs the jobs of a job file (see run-jobs) right away and then on a schedule,
+reusing one Telegram connection. Jobs sync by default: each run only fetches
+messages newer than the previous one (set "sync: false" on a job to change that,
+jobs with from_id, to_id or until_date need it).
+A run that is still in progress when the next one is due is never stacked: the
+next run is skipped. SIGTERM or SIGINT stops the daemon after the current run;
+a second signal stops it immediately.
+
+"interval" or "cron" can be set at the top of the job file as well.
+
+Options:
+  --file        The job file (.json, .yaml or .yml)
+  --interval    Time between runs, e.g. 30s, 15m, 2h, 1d
+  --cron        Cron expression (minute hour day month weekday), e.g. "*/30 * * * *"
+  --parallel    Number of jobs running at the same time (default: 1)
+  --max_rate    Combined download speed limit for all jobs, e.g. 5MB/s
+  --on_file     Shell command or http(s) URL called for every downloaded file
+  --on_channel_complete
+                Shell command or URL called when a job's channel or topic is done
+  --on_failure  Shell command or URL called when a download or a job fails
+
+Examples:
+  node cli.js daemon --file=jobs.yaml --interval=15m
+  node cli.js daemon --file=jobs.yaml --cron="0 3 * * *"
+    `.trim();
+  }
+
+  /**
+   * Runs every job once, unless the previous run is still going
+   */
+  async runOnce() {
+    if (this.currentRun) {
+      logger.warn("The previous run is still in progress, skipping this one");
+      return;
+    }
+
+    const runner = new RunJobs();
+    const startedAt = new Date();
+    logger.info(`Run started at ${startedAt.toISOString()}`);
+
+    this.currentRun = Promise.all(
+      this.jobs.map((job) => this.queue.push(() => runner.runJob(this.client, job)))
+    );
+
+    try {
+      const results = await this.currentRun;
+      logger.table(results);
+    } catch (err) {
+      logger.error(`Run failed: ${err.message}`);
+    } finally {
+      this.currentRun = null;
+    }
+  }
+
+  /**
+   * Sets the timer of the next run
+   * @returns {boolean} False if no next run could be scheduled, the daemon then has to stop
+   */
+  scheduleNext() {
+    if (this.stopping) return true;
+
+    let nextRun;
+    try {
+      nextRun = this.schedule.getNextRun(new Date());
+    } catch (err) {
+      logger.error(`Could not schedule the next run: ${err.message}`);
+      return false;
+    }
+    logger.info(`Next run at ${nextRun.toISOString()}`);
+
+    this.setTimer(nextRun);
+    return true;
+  }
+
+  /**
+   * Waits until a run is due, re-checking every MAX_TIMER_DELAY for runs further away,
+   * then schedules the one after it and starts the run unless the previous one is still going
+   * @param {Date} nextRun - When the run is due
+   */
+  setTimer(nextRun) {
+    const delay = nextRun.getTime() - Date.now();
+    if (delay > MAX_TIMER_DELAY) {
+      this.timer = setTimeout(() => this.setTimer(nextRun), MAX_TIMER_DELAY);
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      const scheduled = this.scheduleNext();
+      if (this.currentRun) {
+        logger.warn("The previous run is still in progress, skipping this one");
+      } else {
+        await this.runOnce();
+      }
+      if (!scheduled) await this.stop(1);
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * Stops the daemon on SIGTERM or SIGINT, after the current run
+   * @param {string} signal - The signal received
+   */
+  async shutdown(signal) {
+    if (this.stopping) {
+      logger.warn(`${signal} received again, exiting now`);
+      process.exit(1);
+    }
+
+    logger.info(`${signal} received, stopping${this.currentRun ? " after the current run" : ""}...`);
+    await this.stop(0);
+  }
+
+  /**
+   * Stops scheduling, waits for the current run and disconnects
+   * @param {number} exitCode - Exit code of the process
+   */
+  async stop(exitCode) {
+    this.stopping = true;
+    clearTimeout(this.timer);
+
+    if (this.currentRun) {
+      await this.currentRun.catch(() => {});
+    }
+    if (this.client) {
+      await this.client.disconnect();
+    }
+
+    logger.success("Daemon stopped");
+    process.exit(exitCode);
+  }
+
+  async handle(options = {}) {
+    try {
+      if (!options.file) {
+        throw new Error("A job file is required. Use --file=jobs.yaml");
+      }
+
+      const { jobs, parallel, maxRate, interval, cron } = loadJobFile(path.resolve(options.file));
+
+      // Options given on the command line replace the schedule of the file
+      const scheduleOptions =
+        options.interval || options.cron
+          ? { interval: options.interval, cron: options.cron }
+          : { interval, cron };
+      this.schedule = createSchedule(scheduleOptions);
+      this.schedule.getNextRun(new Date()); // Throws for a cron expression that never matches
+
+      const maxRateOption = options.max_rate || maxRate;
+      rateLimiter.configure(maxRateOption);
+      configureHooks(options);
+
+      this.jobs = jobs.map((job) => {
+        // A sync always runs up to the newest message, see download-channel
+        const { from_id: fromId, to_id: toId, until_date: untilDate, sync } = job.options;
+        if (sync === undefined && (fromId !== undefined || toId !== undefined || untilDate)) {
+          throw new Error(
+            `Job "${job.name}" sets from_id, to_id or until_date, which cannot be combined with the daemon's sync. Download it once with run-jobs, or set "sync: false" on it.`
+          );
+        }
+        return { ...job, options: { sync: true, ...job.options } };
+      });
+      this.queue = new DownloadQueue(options.parallel || parallel || 1);
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
+
+    try {
+      this.client = await initAuth(options);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      process.exit(1);
+    }
+
+    process.on("SIGTERM", () => this.shutdown("SIGTERM"));
+    process.on("SIGINT", () => this.shutdown("SIGINT"));
+
+    logger.info(`Daemon started with ${this.jobs.length} job(s), running ${this.schedule.description}`);
+    const scheduled = this.scheduleNext();
+    await this.runOnce();
+    if (!scheduled) await this.stop(1);
+  }
+}
+
+module.exports = Daemon;
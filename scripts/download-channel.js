@@ -1,35 +1,51 @@
 "use strict";
-const fs = require("fs");
 const path = require("path");
 const { initAuth } = require("../modules/auth");
 const {
   getMessages,
   getMessageDetail,
+  withoutTrailingAlbum,
   downloadMessageMedia,
 } = require("../modules/messages");
 const {
   getMediaType,
   getMediaPath,
   checkFileExist,
-  appendToJSONArrayFile,
   wait,
   parseDateString,
+  parseMessageId,
   createChannelFolderName,
   getExportDirectory,
 } = require("../utils/helper");
 const {
   updateLastSelection,
   getLastSelection,
+  useMediaNaming,
 } = require("../utils/file-helper");
+const { validateFilenameTemplate } = require("../utils/filename-template");
+const { parseFolderLayout } = require("../utils/folder-layout");
+const {
+  parseMediaFilter,
+  matchesMediaFilter,
+  getAlbumCaptions,
+  resolveUserFilter,
+} = require("../modules/media-filter");
 const logger = require("../utils/logger");
 const ProgressManager = require("../utils/progress");
+const DownloadQueue = require("../utils/download-queue");
+const { rateLimiter } = require("../utils/rate-limiter");
 const { getDialogName, getAllDialogs } = require("../modules/dialoges");
+const { exportChannelHtml } = require("../modules/html-export");
+const { appendMessagesToExport } = require("../modules/message-export");
+const { removeDamagedFiles } = require("../modules/manifest");
+const { HOOK_EVENTS, configureHooks, emitHook } = require("../modules/hooks");
 const {
   downloadOptionInput,
+  mediaFilterInput,
   selectInput,
+  parseMediaTypes,
 } = require("../utils/input-helper");
 
-const MAX_PARALLEL_DOWNLOAD = 3;
 const MESSAGE_LIMIT = 50;
 const BATCH_WAIT_SECONDS = 8;
 const ITERATION_WAIT_SECONDS = 3;
@@ -43,13 +59,76 @@ class DownloadChannel {
     this.downloadableFiles = null;
     this.fromDate = null;  // Unix timestamp (seconds)
     this.untilDate = null; // Unix timestamp (seconds)
+    this.fromId = null; // --from_id, first message of the range
+    this.toId = null; // --to_id, last message of the range
     this.exportPath = getExportDirectory();
+    this.outputPath = null; // --output, replaces the default <export>/<channel folder>
+    this.filenameTemplate = null; // --filename_template, saved per channel
+    this.folderLayout = null; // --folder_layout, saved per channel
+    this.mediaFilter = null; // Size, duration, caption and sender filters
+    this.downloadQueue = new DownloadQueue();
   }
 
   static description() {
     return "Download all media from a channel";
   }
 
+  static help() {
+    return `
+Usage: node cli.js download-channel [--channelId=<id>] [options]
+
+Downloads all media and messages from a channel, group or user.
+Prompts for the channel and the file types when they are not given.
+
+Options:
+  --channelId    The channel ID (prompts for a channel when omitted)
+  --types        Media types and file extensions to download, e.g. video,voice,pdf
+                 (image, video, audio, voice, round_video, gif, sticker, document or
+                 any extension; prompts when omitted)
+  --min_size     Skip files smaller than this, e.g. 10MB
+  --max_size     Skip files larger than this, e.g. 500MB
+  --min_duration Skip videos and audio shorter than this, e.g. 10s (seconds, or s/m/h)
+  --max_duration Skip videos and audio longer than this, e.g. 30m
+  --caption_match
+                 Only download media whose caption matches this regular expression,
+                 e.g. "#course101" (case-insensitive)
+  --caption_exclude
+                 Skip media whose caption matches this regular expression
+  --from_user    Only download media sent by these users, e.g. @alice,12345
+  --exclude_user Skip media sent by these users
+  --from_date    Only download messages from this date onwards (DD/MM/YYYY or DD/MM/YYYY HH:MM)
+  --until_date   Only download messages until this date (DD/MM/YYYY or DD/MM/YYYY HH:MM)
+  --from_id      Only download messages from this message ID onwards
+  --to_id        Only download messages up to this message ID
+                 (damaged files of the range are downloaded again; the resume point is left alone)
+  --sync         Only fetch messages newer than the newest one already downloaded
+  --export_html  Render an offline HTML archive (messages.html) when the download finishes
+  --output       Folder to download into, absolute or relative to the export directory
+  --filename_template
+                 Name of the downloaded files, e.g. "{date:YYYY-MM-DD}_{id}.{ext}"
+                 (remembered for the channel, see the Readme for the placeholders)
+  --folder_layout
+                 Sub folders of the files: type (default), date, sender, sender_name, topic,
+                 album or a combination such as date/type (remembered for the channel)
+  --concurrency  Number of files downloaded at the same time (default: 3)
+  --max_rate     Combined download speed limit, e.g. 5MB/s (default: maxRate in config.json)
+  --on_file      Shell command or http(s) URL called for every downloaded file
+  --on_channel_complete
+                 Shell command or URL called when the channel is done
+  --on_failure   Shell command or URL called when a download fails
+
+Examples:
+  node cli.js download-channel --channelId=12345
+  node cli.js download-channel --channelId=12345 --from_date=01/12/2024 --until_date=31/12/2024
+  node cli.js download-channel --channelId=12345 --sync
+  node cli.js download-channel --channelId=12345 --from_id=1200 --to_id=1850
+  node cli.js download-channel --channelId=12345 --max_rate=5MB/s
+  node cli.js download-channel --channelId=12345 --types=video --max_size=500MB --min_duration=10s
+  node cli.js download-channel --channelId=12345 --caption_match="#course101" --caption_exclude="draft"
+  node cli.js download-channel --channelId=12345 --from_user=@instructor
+    `.trim();
+  }
+
   /**
    * Checks if a message contains media
    * @param {Object} message The Telegram message object
@@ -73,8 +152,9 @@ class DownloadChannel {
   /**
    * Determines if a message's media should be downloaded
    * @param {Object} message The Telegram message object
+   * @param {Map} albumCaptions Captions of the albums of the page, see getAlbumCaptions
    */
-  canDownload(message) {
+  canDownload(message, albumCaptions = null) {
     if (!this.hasMedia(message)) return false;
 
     // Only support document and photo media types
@@ -83,6 +163,7 @@ class DownloadChannel {
     if (!hasDocument && !hasPhoto) return false;
 
     if (!this.isWithinDateRange(message)) return false;
+    if (!matchesMediaFilter(message, this.mediaFilter, albumCaptions)) return false;
 
     // Check if file exists BEFORE calling getMediaPath() to avoid log side effects
     const fileExists = checkFileExist(message, this.outputFolder);
@@ -100,43 +181,63 @@ class DownloadChannel {
   }
 
   /**
-   * Records messages to a JSON file
+   * Appends messages to the channel's JSON Lines export
    * @param {Array} messages The message objects
    */
   recordMessages(messages) {
-    const filePath = path.join(this.outputFolder, "all_message.json");
-    if (!fs.existsSync(this.outputFolder)) {
-      fs.mkdirSync(this.outputFolder, {recursive: true});
+    appendMessagesToExport(this.outputFolder, messages);
+  }
+
+
+  /**
+   * Downloads the media of the given messages through the shared download queue
+   * @param {Object} client The Telegram client instance
+   * @param {Number} channelId The channel ID
+   * @param {Array} messages The downloadable messages, in processing order
+   * @param {Function} onProgress Optional callback invoked with the last message of the fully downloaded prefix
+   * @returns {Promise<boolean>} False if a download failed and processing was stopped
+   */
+  async downloadMessages(client, channelId, messages, onProgress = null) {
+    if (!messages.length) return true;
+
+    const progressManager = new ProgressManager();
+    progressManager.start();
+
+    const allSucceeded = await this.downloadQueue.runOrdered(
+      messages,
+      (msg) =>
+        downloadMessageMedia(
+          client,
+          msg,
+          getMediaPath(msg, this.outputFolder),
+          channelId,
+          progressManager,
+          this.outputFolder
+        ),
+      onProgress
+    );
+
+    progressManager.stop();
+
+    if (!allSucceeded) {
+      // Stop processing - don't advance offset past failed downloads
+      logger.warn("Some downloads failed, stopping to retry on next run");
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Remembers the newest message ID handled for a channel, used as the starting point of --sync
+   * @param {string} folderName The channel folder name
+   * @param {number} messageId The newest message ID that has been handled
+   */
+  updateNewestMessageId(folderName, messageId) {
+    const { newestMessageId = 0 } = getLastSelection(folderName);
+    if (messageId > newestMessageId) {
+      updateLastSelection(folderName, { newestMessageId: messageId });
     }
-    const data = messages.map((msg) => {
-      let messageText = msg.message || "";
-      if (msg.entities && msg.entities.length > 0) {
-        msg.entities.sort((a, b) => b.offset - a.offset);
-        msg.entities.forEach((entity) => {
-          if (entity.className === "MessageEntityTextUrl") {
-            const url = entity.url;
-            const linkText = messageText.substring(entity.offset, entity.offset + entity.length);
-            messageText = messageText.substring(0, entity.offset) + `<a href="${url}">${linkText}</a>` + messageText.substring(entity.offset + entity.length);
-          }
-        });
-      }
-      return {
-        id: msg.id,
-        message: messageText,
-        date: msg.date,
-        out: msg.out,
-        hasMedia: !!msg.media,
-        sender: msg.fromId?.userId || msg.peerId?.userId,
-        mediaType: this.hasMedia(msg) ? getMediaType(msg) : undefined,
-        mediaPath: this.hasMedia(msg)
-            ? getMediaPath(msg, this.outputFolder)
-            : undefined,
-        mediaName: this.hasMedia(msg)
-            ? path.basename(getMediaPath(msg, this.outputFolder))
-            : undefined,
-      };
-    });
-    appendToJSONArrayFile(filePath, data);
   }
 
   /**
@@ -145,79 +246,57 @@ class DownloadChannel {
    * @param {Number} channelId The channel ID
    * @param {String} dialogName The channel/dialog name
    * @param {Number} offsetMsgId The message offset
+   * @returns {Promise<boolean>} True if every page was handled, false if it stopped on a failure
    */
   async downloadChannel(client, channelId, dialogName, offsetMsgId = 0) {
     try {
       const folderName = createChannelFolderName(dialogName, channelId);
-      this.outputFolder = path.join(this.exportPath, folderName);
-      const messages = await getMessages(
+      this.outputFolder = this.getOutputFolder(folderName);
+      const page = await getMessages(
         client,
         channelId,
         MESSAGE_LIMIT,
         offsetMsgId
       );
-      if (!messages.length) {
+      if (!page.length) {
         logger.info("No more messages to download");
-        return;
+        return true;
       }
+      // An album cut off at the end of the page is handled as a whole with the next page
+      const messages = page.length === MESSAGE_LIMIT ? withoutTrailingAlbum(page) : page;
       const ids = messages.map((m) => m.id);
       const details = await getMessageDetail(client, channelId, ids);
-      const progressManager = new ProgressManager();
 
       // Filter to only downloadable messages
-      const downloadableMessages = details.filter((msg) => this.canDownload(msg));
-
-      if (downloadableMessages.length > 0) {
-        progressManager.start();
-
-        // Process in batches of MAX_PARALLEL_DOWNLOAD
-        for (let i = 0; i < downloadableMessages.length; i += MAX_PARALLEL_DOWNLOAD) {
-          const batch = downloadableMessages.slice(i, i + MAX_PARALLEL_DOWNLOAD);
-
-          // Download all in batch concurrently
-          const results = await Promise.all(
-            batch.map((msg) =>
-              downloadMessageMedia(
-                client,
-                msg,
-                getMediaPath(msg, this.outputFolder),
-                channelId,
-                progressManager
-              )
-            )
-          );
-
-          // Check if all downloads in this batch succeeded
-          const allSucceeded = results.every((success) => success);
-
-          if (allSucceeded) {
-            // Update offset to the oldest message in this batch
-            const oldestInBatch = batch[batch.length - 1];
-            updateLastSelection(folderName, {
-              messageOffsetId: oldestInBatch.id,
-            });
-          } else {
-            // Stop processing - don't advance offset past failed downloads
-            progressManager.stop();
-            logger.warn("Some downloads failed, stopping to retry on next run");
-            return;
-          }
+      const albumCaptions = getAlbumCaptions(details);
+      const downloadableMessages = details.filter((msg) => this.canDownload(msg, albumCaptions));
+
+      const completed = await this.downloadMessages(
+        client,
+        channelId,
+        downloadableMessages,
+        (msg) => {
+          // Every newer message of this page is downloaded, resume below this one
+          updateLastSelection(folderName, {
+            messageOffsetId: msg.id,
+          });
         }
+      );
+      if (!completed) return false;
 
-        progressManager.stop();
-      }
       this.recordMessages(details);
+      this.updateNewestMessageId(folderName, messages[0].id);
 
       // Early exit optimization: Messages are in reverse chronological order (newest first).
       // If the oldest message in this batch is older than from_date, stop fetching more.
       const oldestMessage = messages[messages.length - 1];
       if (this.fromDate && oldestMessage.date < this.fromDate) {
         logger.info("Reached messages older than from_date, stopping");
-        return;
+        return true;
       }
 
       await wait(ITERATION_WAIT_SECONDS);
-      await this.downloadChannel(
+      return await this.downloadChannel(
         client,
         channelId,
         dialogName,
@@ -226,12 +305,113 @@ class DownloadChannel {
     } catch (err) {
       logger.error("An error occurred:");
       console.error(err);
+      return false;
+    }
+  }
+
+  /**
+   * Recursively fetches messages newer than the last synced one, oldest first,
+   * downloads their media and appends them to the export
+   * @param {Object} client The Telegram client instance
+   * @param {Number} channelId The channel ID
+   * @param {String} dialogName The channel/dialog name
+   * @param {Number} minId Only messages with a greater ID are fetched
+   * @returns {Promise<boolean>} True if every page was handled, false if it stopped on a failure
+   */
+  async syncChannel(client, channelId, dialogName, minId = 0) {
+    try {
+      const folderName = createChannelFolderName(dialogName, channelId);
+      this.outputFolder = this.getOutputFolder(folderName);
+      const page = await getMessages(
+        client,
+        channelId,
+        MESSAGE_LIMIT,
+        0,
+        null,
+        { minId, reverse: true }
+      );
+      if (!page.length) {
+        logger.info("No new messages to sync");
+        return true;
+      }
+      // An album cut off at the end of the page is handled as a whole with the next page
+      const messages = page.length === MESSAGE_LIMIT ? withoutTrailingAlbum(page) : page;
+      const ids = messages.map((m) => m.id);
+      const details = await getMessageDetail(client, channelId, ids);
+
+      const albumCaptions = getAlbumCaptions(details);
+      const downloadableMessages = details.filter((msg) => this.canDownload(msg, albumCaptions));
+
+      // The checkpoint only moves once the whole page has been handled, so a failed
+      // download is retried by the next sync
+      const completed = await this.downloadMessages(client, channelId, downloadableMessages);
+      if (!completed) return false;
+
+      this.recordMessages(details);
+
+      const newestMessage = messages[messages.length - 1];
+      this.updateNewestMessageId(folderName, newestMessage.id);
+
+      await wait(ITERATION_WAIT_SECONDS);
+      return await this.syncChannel(client, channelId, dialogName, newestMessage.id);
+    } catch (err) {
+      logger.error("An error occurred:");
+      console.error(err);
+      return false;
+    }
+  }
+
+  /**
+   * Recursively fetches the messages of an ID range, oldest first, downloads their media
+   * and appends them to the export. Damaged files of the range are downloaded again. Neither
+   * the resume point nor the sync checkpoint is moved, so the range can be downloaded again
+   * at any time.
+   * @param {Object} client The Telegram client instance
+   * @param {Number} channelId The channel ID
+   * @param {String} dialogName The channel/dialog name
+   * @param {Number} minId Only messages with a greater ID are fetched
+   * @returns {Promise<boolean>} True if every page was handled, false if it stopped on a failure
+   */
+  async downloadRange(client, channelId, dialogName, minId = 0) {
+    try {
+      const folderName = createChannelFolderName(dialogName, channelId);
+      this.outputFolder = this.getOutputFolder(folderName);
+      const range = { minId, reverse: true };
+      if (this.toId) range.maxId = this.toId + 1;
+
+      const page = await getMessages(client, channelId, MESSAGE_LIMIT, 0, null, range);
+      if (!page.length) {
+        logger.info("No more messages in the range");
+        return true;
+      }
+      // An album cut off at the end of the page is handled as a whole with the next page
+      const messages = page.length === MESSAGE_LIMIT ? withoutTrailingAlbum(page) : page;
+      const ids = messages.map((m) => m.id);
+      const details = await getMessageDetail(client, channelId, ids);
+
+      // Files of the range already on disk are only kept when they are intact
+      await removeDamagedFiles(this.outputFolder, details);
+
+      const albumCaptions = getAlbumCaptions(details);
+      const downloadableMessages = details.filter((msg) => this.canDownload(msg, albumCaptions));
+
+      const completed = await this.downloadMessages(client, channelId, downloadableMessages);
+      if (!completed) return false;
+
+      this.recordMessages(details);
+
+      await wait(ITERATION_WAIT_SECONDS);
+      return await this.downloadRange(client, channelId, dialogName, messages[messages.length - 1].id);
+    } catch (err) {
+      logger.error("An error occurred:");
+      console.error(err);
+      return false;
     }
   }
 
   async configureDownload(options, client) {
     let channelId = options.channelId;
-    let downloadableFiles = options.downloadableFiles;
+    let downloadableFiles = options.downloadableFiles || (options.types && parseMediaTypes(options.types));
     if (!channelId) {
       logger.info("Please select a channel to download media from");
       const allChannels = await getAllDialogs(client);
@@ -246,7 +426,10 @@ class DownloadChannel {
       );
       channelId = selectedChannel;
     }
-    if (!downloadableFiles) downloadableFiles = await downloadOptionInput();
+    if (!downloadableFiles) {
+      downloadableFiles = await downloadOptionInput();
+      if (!this.mediaFilter) this.mediaFilter = parseMediaFilter(await mediaFilterInput());
+    }
 
     this.downloadableFiles = downloadableFiles;
     return { channelId };
@@ -263,18 +446,45 @@ class DownloadChannel {
   }
 
   /**
-   * Main entry point: initializes auth, sets up output folder, and starts download
+   * Gets the folder a channel is downloaded into
+   * @param {string} folderName The channel folder name
+   * @returns {string} The --output folder if given, otherwise <export directory>/<folderName>
    */
-  async handle(options = {}) {
-    let client;
-    await wait(1);
+  getOutputFolder(folderName) {
+    return this.outputPath
+      ? path.resolve(this.exportPath, this.outputPath)
+      : path.join(this.exportPath, folderName);
+  }
+
+  /**
+   * Reads the download settings (concurrency, date and message ID ranges, media filters, output folder) from the options
+   * @param {Object} options The command options
+   * @throws {Error} If an option is invalid
+   */
+  applyOptions(options = {}) {
+    if (options.concurrency) {
+      this.downloadQueue = new DownloadQueue(options.concurrency);
+    }
+
+    if (options.output) {
+      this.outputPath = options.output;
+    }
+
+    if (options.filename_template) {
+      validateFilenameTemplate(options.filename_template);
+      this.filenameTemplate = options.filename_template;
+    }
+    if (options.folder_layout) {
+      this.folderLayout = parseFolderLayout(options.folder_layout).join("/");
+    }
+
+    this.mediaFilter = parseMediaFilter(options);
 
     // Parse date filters
     if (options.from_date) {
       this.fromDate = parseDateString(options.from_date, false); // Start of day
       if (!this.fromDate) {
-        logger.error(`Invalid from_date format: "${options.from_date}". Expected DD/MM/YYYY or DD/MM/YYYY HH:MM`);
-        process.exit(1);
+        throw new Error(`Invalid from_date format: "${options.from_date}". Expected DD/MM/YYYY or DD/MM/YYYY HH:MM`);
       }
       logger.info(`Filtering messages from: ${options.from_date}`);
     }
@@ -282,34 +492,127 @@ class DownloadChannel {
     if (options.until_date) {
       this.untilDate = parseDateString(options.until_date, true); // End of day
       if (!this.untilDate) {
-        logger.error(`Invalid until_date format: "${options.until_date}". Expected DD/MM/YYYY or DD/MM/YYYY HH:MM`);
-        process.exit(1);
+        throw new Error(`Invalid until_date format: "${options.until_date}". Expected DD/MM/YYYY or DD/MM/YYYY HH:MM`);
       }
       logger.info(`Filtering messages until: ${options.until_date}`);
     }
 
     // Validate date range
     if (this.fromDate && this.untilDate && this.fromDate > this.untilDate) {
-      logger.error("from_date cannot be after until_date");
-      process.exit(1);
+      throw new Error("from_date cannot be after until_date");
     }
 
-    try {
-      client = await initAuth();
-      const { channelId } = await this.configureDownload(options, client);
+    // A sync always runs up to the newest message, so it would skip past anything after until_date
+    if (options.sync && this.untilDate) {
+      throw new Error("until_date cannot be combined with --sync");
+    }
 
-      const dialogName = await getDialogName(client, channelId);
-      const folderName = createChannelFolderName(dialogName, channelId);
+    // Parse the message ID range
+    if (options.from_id !== undefined) {
+      this.fromId = parseMessageId(options.from_id);
+      if (!this.fromId) {
+        throw new Error(`Invalid from_id: "${options.from_id}". Expected a message ID`);
+      }
+    }
+
+    if (options.to_id !== undefined) {
+      this.toId = parseMessageId(options.to_id);
+      if (!this.toId) {
+        throw new Error(`Invalid to_id: "${options.to_id}". Expected a message ID`);
+      }
+    }
+
+    if (this.fromId && this.toId && this.fromId > this.toId) {
+      throw new Error("from_id cannot be after to_id");
+    }
+    if (options.sync && (this.fromId || this.toId)) {
+      throw new Error("from_id and to_id cannot be combined with --sync");
+    }
+  }
+
+  /**
+   * Downloads (or, with options.sync, syncs) one channel with an already authenticated client.
+   * Does not disconnect or exit, so run-jobs and daemon can reuse the client across runs.
+   * @param {Object} client The Telegram client instance
+   * @param {Object} options The command options, after applyOptions
+   * @returns {Promise<{success: boolean, dialogName: string, outputFolder: string}>}
+   */
+  async run(client, options = {}) {
+    const { channelId } = await this.configureDownload(options, client);
+    await resolveUserFilter(client, this.mediaFilter);
+
+    const dialogName = await getDialogName(client, channelId);
+    const folderName = createChannelFolderName(dialogName, channelId);
+    useMediaNaming(folderName, this.getOutputFolder(folderName), {
+      filenameTemplate: this.filenameTemplate,
+      folderLayout: this.folderLayout,
+      channelName: dialogName,
+    });
+    let success;
+
+    if (this.fromId || this.toId) {
+      logger.info(
+        `Downloading messages #${this.fromId || 1} to #${this.toId || "latest"} from channel ${dialogName}`
+      );
+      success = await this.downloadRange(client, channelId, dialogName, (this.fromId || 1) - 1);
+    } else if (options.sync) {
+      const { newestMessageId } = getLastSelection(folderName);
+      if (newestMessageId) {
+        logger.info(`Syncing messages newer than #${newestMessageId} from channel ${dialogName}`);
+      } else {
+        logger.info(`No sync checkpoint for channel ${dialogName} yet, syncing all messages`);
+      }
+      success = await this.syncChannel(client, channelId, dialogName, newestMessageId || 0);
+    } else {
       const messageOffsetId = this.getMessageOffset(folderName);
 
       logger.info(`Downloading media from channel ${dialogName}`);
-      await this.downloadChannel(client, channelId, dialogName, messageOffsetId);
+      success = await this.downloadChannel(client, channelId, dialogName, messageOffsetId);
+    }
+
+    const outputFolder = this.getOutputFolder(folderName);
+    if (options.export_html) {
+      await exportChannelHtml(outputFolder, {
+        title: dialogName,
+      });
+    }
+
+    const hookPayload = { channelId: String(channelId), channel: dialogName, outputFolder };
+    if (success) {
+      await emitHook(HOOK_EVENTS.CHANNEL_COMPLETE, hookPayload);
+    } else {
+      await emitHook(HOOK_EVENTS.FAILURE, { ...hookPayload, error: "Stopped after a failed download" });
+    }
+
+    return { success, dialogName, outputFolder };
+  }
+
+  /**
+   * Main entry point: initializes auth, sets up output folder, and starts download
+   */
+  async handle(options = {}) {
+    let client;
+    await wait(1);
+
+    try {
+      this.applyOptions(options);
+      rateLimiter.configure(options.max_rate);
+      configureHooks(options);
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
+
+    try {
+      client = await initAuth(options);
+      await this.run(client, options);
     } catch (err) {
       logger.error("An error occurred:");
       console.error(err);
+      process.exitCode = 1;
     } finally {
       if (client) await client.disconnect();
-      process.exit(0);
+      process.exit();
     }
   }
 }
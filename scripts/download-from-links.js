@@ -18,12 +18,21 @@ const {
   extractTelegramLinksFromMessage,
   toApiChannelId,
 } = require("../utils/telegram-url");
+const { useMediaNaming } = require("../utils/file-helper");
+const { validateFilenameTemplate } = require("../utils/filename-template");
+const { parseFolderLayout } = require("../utils/folder-layout");
+const {
+  parseMediaFilter,
+  matchesMediaFilter,
+  getAlbumCaptions,
+} = require("../modules/media-filter");
 const logger = require("../utils/logger");
 const ProgressManager = require("../utils/progress");
+const DownloadQueue = require("../utils/download-queue");
+const { rateLimiter } = require("../utils/rate-limiter");
+const { configureHooks } = require("../modules/hooks");
 const { textInput } = require("../utils/input-helper");
 
-const MAX_PARALLEL_DOWNLOAD = 3;
-
 /**
  * Downloads videos from messages linked within a source Telegram message.
  *
@@ -38,6 +47,10 @@ class DownloadFromLinks {
     this.outputFolder = null;
     this.exportPath = getExportDirectory();
     this.client = null;
+    this.filenameTemplate = null; // --filename_template
+    this.folderLayout = null; // --folder_layout
+    this.mediaFilter = null; // Size, duration and caption filters
+    this.downloadQueue = new DownloadQueue();
   }
 
   static description() {
@@ -51,8 +64,24 @@ Usage: node cli.js download-from-links --url="<telegram-url>"
 Downloads videos from all Telegram messages that are linked within a source message.
 
 Options:
-  --url    The Telegram message URL containing links to other messages
-           Example: https://t.me/c/2623426951/3/17039
+  --url            The Telegram message URL containing links to other messages
+                   Example: https://t.me/c/2623426951/3/17039
+  --concurrency    Number of videos downloaded at the same time (default: 3)
+  --max_rate       Combined download speed limit, e.g. 5MB/s (default: maxRate in config.json)
+  --filename_template
+                   Name of the downloaded files, e.g. "{date:YYYY-MM-DD}_{id}.{ext}"
+  --folder_layout  Sub folders of the files: type (default), date, sender, sender_name,
+                   topic, album or a combination such as date/type
+  --min_size       Skip videos smaller than this, e.g. 10MB
+  --max_size       Skip videos larger than this, e.g. 500MB
+  --min_duration   Skip videos shorter than this, e.g. 10s (seconds, or s/m/h)
+  --max_duration   Skip videos longer than this, e.g. 30m
+  --caption_match  Only download videos whose caption matches this regular expression,
+                   e.g. "#course101" (case-insensitive)
+  --caption_exclude
+                   Skip videos whose caption matches this regular expression
+  --on_file        Shell command or http(s) URL called for every downloaded file
+  --on_failure     Shell command or URL called when a download fails
 
 Examples:
   node cli.js download-from-links --url="https://t.me/c/2623426951/3/17039"
@@ -115,7 +144,7 @@ Examples:
     if (!hasDocument && !hasPhoto) return false;
 
     const mediaType = getMediaType(message);
-    return mediaType === MEDIA_TYPES.VIDEO;
+    return mediaType === MEDIA_TYPES.VIDEO || mediaType === MEDIA_TYPES.ROUND_VIDEO;
   }
 
   /**
@@ -132,6 +161,10 @@ Examples:
     if (!fs.existsSync(outputFolder)) {
       fs.mkdirSync(outputFolder, { recursive: true });
     }
+    useMediaNaming(folderName, outputFolder, {
+      filenameTemplate: this.filenameTemplate,
+      folderLayout: this.folderLayout,
+    });
 
     return outputFolder;
   }
@@ -143,8 +176,10 @@ Examples:
    */
   async downloadVideos(linkedMessages, progressManager) {
     // Filter to only downloadable videos
+    const albumCaptions = getAlbumCaptions(linkedMessages.map(({ message }) => message));
     const downloadable = linkedMessages.filter(({ message }) => {
       if (!this.isDownloadableVideo(message)) return false;
+      if (!matchesMediaFilter(message, this.mediaFilter, albumCaptions)) return false;
 
       // Check if already downloaded
       return !checkFileExist(message, this.outputFolder);
@@ -158,19 +193,16 @@ Examples:
     logger.info(`Found ${downloadable.length} video(s) to download`);
     progressManager.start();
 
-    // Process in batches
-    for (let i = 0; i < downloadable.length; i += MAX_PARALLEL_DOWNLOAD) {
-      const batch = downloadable.slice(i, i + MAX_PARALLEL_DOWNLOAD);
-
-      await Promise.all(
-        batch.map(async ({ entity, message }) => {
+    await Promise.all(
+      downloadable.map(({ entity, message }) =>
+        this.downloadQueue.push(() => {
           const mediaPath = getMediaPath(message, this.outputFolder);
           // Pass entity as channelId for potential file reference refresh
           const channelId = typeof entity === "number" ? entity : entity.id;
-          await downloadMessageMedia(this.client, message, mediaPath, channelId, progressManager);
+          return downloadMessageMedia(this.client, message, mediaPath, channelId, progressManager, this.outputFolder);
         })
-      );
-    }
+      )
+    );
 
     progressManager.stop();
   }
@@ -180,6 +212,26 @@ Examples:
    * @param {Object} options - CLI options
    */
   async handle(options = {}) {
+    if (options.concurrency) {
+      this.downloadQueue = new DownloadQueue(options.concurrency);
+    }
+
+    try {
+      rateLimiter.configure(options.max_rate);
+      configureHooks(options);
+      if (options.filename_template) {
+        validateFilenameTemplate(options.filename_template);
+        this.filenameTemplate = options.filename_template;
+      }
+      if (options.folder_layout) {
+        this.folderLayout = parseFolderLayout(options.folder_layout).join("/");
+      }
+      this.mediaFilter = parseMediaFilter(options);
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
+
     try {
       // Get URL from options or prompt
       let url = options.url;
@@ -201,7 +253,7 @@ Examples:
       }
 
       logger.info("Connecting to Telegram...");
-      this.client = await initAuth();
+      this.client = await initAuth(options, { allowBot: true });
 
       // Resolve source channel
       const sourceEntity = await this.resolveChannelEntity(sourceParsed);
@@ -313,11 +365,12 @@ Examples:
     } catch (err) {
       logger.error(`An error occurred: ${err.message}`);
       console.error(err);
+      process.exitCode = 1;
     } finally {
       if (this.client) {
         await this.client.disconnect();
       }
-      process.exit(0);
+      process.exit();
     }
   }
 }
@@ -3,6 +3,17 @@ const { initAuth } = require("../modules/auth");
 const { getMessageDetail, downloadMessageMedia } = require("../modules/messages");
 const { getDialogName } = require("../modules/dialoges");
 const { logMessage, getMediaPath, createChannelFolderName, getExportDirectory } = require("../utils/helper");
+const { useMediaNaming } = require("../utils/file-helper");
+const { validateFilenameTemplate } = require("../utils/filename-template");
+const { parseFolderLayout } = require("../utils/folder-layout");
+const { configureHooks } = require("../modules/hooks");
+const { rateLimiter } = require("../utils/rate-limiter");
+const {
+  parseMediaFilter,
+  matchesMediaFilter,
+  getAlbumCaptions,
+  resolveUserFilter,
+} = require("../modules/media-filter");
 const { textInput } = require("../utils/input-helper");
 
 class DownloadMessage {
@@ -15,26 +26,86 @@ class DownloadMessage {
     return "Download media from a messages";
   }
 
-  async downloadMessage(client, channelId, dialogName, messageIds) {
+  static help() {
+    return `
+Usage: node cli.js download-selected-message [options]
+
+Prompts for a channel ID and message IDs, and downloads the media of those messages.
+
+Options:
+  --filename_template
+                   Name of the downloaded files, e.g. "{id}_{date:YYYY-MM-DD}.{ext}"
+                   (remembered for the channel, see the Readme for the placeholders)
+  --folder_layout  Sub folders of the files: type (default), date, sender, sender_name,
+                   topic, album or a combination such as date/type (remembered for the channel)
+  --min_size       Skip files smaller than this, e.g. 10MB
+  --max_size       Skip files larger than this, e.g. 500MB
+  --min_duration   Skip videos and audio shorter than this, e.g. 10s (seconds, or s/m/h)
+  --max_duration   Skip videos and audio longer than this, e.g. 30m
+  --caption_match  Only download media whose caption matches this regular expression,
+                   e.g. "#course101" (case-insensitive)
+  --caption_exclude
+                   Skip media whose caption matches this regular expression
+  --from_user      Only download media sent by these users, e.g. @alice,12345
+  --exclude_user   Skip media sent by these users
+  --max_rate       Download speed limit, e.g. 5MB/s (default: maxRate in config.json)
+  --on_file        Shell command or http(s) URL called for every downloaded file
+  --on_failure     Shell command or URL called when a download fails
+  --bot_token      Download as a bot that is a member of the chat (env: TG_BOT_TOKEN)
+
+Examples:
+  node cli.js download-selected-message
+  node cli.js download-selected-message --max_size=500MB --caption_exclude=draft
+    `.trim();
+  }
+
+  async downloadMessage(client, channelId, dialogName, messageIds, naming = {}, mediaFilter = null) {
     const folderName = createChannelFolderName(dialogName, channelId);
     const outputFolder = path.join(getExportDirectory(), folderName);
-    
+    useMediaNaming(folderName, outputFolder, { ...naming, channelName: dialogName });
+    await resolveUserFilter(client, mediaFilter);
+
     const messageArr = await getMessageDetail(client, channelId, messageIds);
+    const albumCaptions = getAlbumCaptions(messageArr.filter(Boolean));
     for (const message of messageArr) {
+      if (message && !matchesMediaFilter(message, mediaFilter, albumCaptions)) {
+        logMessage.info(`Skipping message ${message.id}: it does not pass the filters`);
+        continue;
+      }
       await downloadMessageMedia(
         client,
         message,
         getMediaPath(message, outputFolder),
-        channelId
+        channelId,
+        null,
+        outputFolder
       );
     }
     logMessage.success("Done with downloading messages");
   }
 
-  async handle() {
+  async handle(options = {}) {
     let client;
+    const naming = {};
+    let mediaFilter;
+    try {
+      rateLimiter.configure(options.max_rate);
+      configureHooks(options);
+      mediaFilter = parseMediaFilter(options);
+      if (options.filename_template) {
+        validateFilenameTemplate(options.filename_template);
+        naming.filenameTemplate = options.filename_template;
+      }
+      if (options.folder_layout) {
+        naming.folderLayout = parseFolderLayout(options.folder_layout).join("/");
+      }
+    } catch (err) {
+      logMessage.error(err.message);
+      process.exit(1);
+    }
+
     try {
-      client = await initAuth();
+      client = await initAuth(options, { allowBot: true });
       const channelId = await textInput("Please Enter Channel ID: ");
       const messageIdsText = await textInput(
         "Please Enter Message Id(s) (separated by comma): "
@@ -42,15 +113,16 @@ class DownloadMessage {
       const messageIds = messageIdsText.split(",").map(Number);
       const dialogName = await getDialogName(client, channelId);
 
-      await this.downloadMessage(client, channelId, dialogName, messageIds);
+      await this.downloadMessage(client, channelId, dialogName, messageIds, naming, mediaFilter);
     } catch (error) {
       logMessage.error("An error occurred:", error);
+      process.exitCode = 1;
     } finally {
       if (client) {
         await client.disconnect();
       }
 
-      process.exit(0);
+      process.exit();
     }
   }
 }
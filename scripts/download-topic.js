@@ -7,28 +7,47 @@ const { initAuth } = require("../modules/auth");
 const {
   getMessages,
   getMessageDetail,
+  withoutTrailingAlbum,
   downloadMessageMedia,
 } = require("../modules/messages");
 const {
   getMediaType,
   getMediaPath,
   checkFileExist,
-  appendToJSONArrayFile,
   wait,
   parseDateString,
+  parseMessageId,
   sanitizeFolderName,
   getExportDirectory,
 } = require("../utils/helper");
 const {
   updateLastSelection,
   getLastSelection,
+  useMediaNaming,
 } = require("../utils/file-helper");
+const { validateFilenameTemplate } = require("../utils/filename-template");
+const { parseFolderLayout } = require("../utils/folder-layout");
+const {
+  parseMediaFilter,
+  matchesMediaFilter,
+  getAlbumCaptions,
+  resolveUserFilter,
+} = require("../modules/media-filter");
 const { parseTopicUrl, toApiChannelId } = require("../utils/telegram-url");
 const logger = require("../utils/logger");
 const ProgressManager = require("../utils/progress");
-const { downloadOptionInput } = require("../utils/input-helper");
+const DownloadQueue = require("../utils/download-queue");
+const { rateLimiter } = require("../utils/rate-limiter");
+const {
+  downloadOptionInput,
+  mediaFilterInput,
+  parseMediaTypes,
+} = require("../utils/input-helper");
+const { exportChannelHtml } = require("../modules/html-export");
+const { appendMessagesToExport } = require("../modules/message-export");
+const { removeDamagedFiles } = require("../modules/manifest");
+const { HOOK_EVENTS, configureHooks, emitHook } = require("../modules/hooks");
 
-const MAX_PARALLEL_DOWNLOAD = 3;
 const MESSAGE_LIMIT = 50;
 const ITERATION_WAIT_SECONDS = 3;
 
@@ -45,11 +64,19 @@ class DownloadTopic {
     this.downloadableFiles = null;
     this.fromDate = null;
     this.untilDate = null;
+    this.fromId = null; // --from_id, first message of the range
+    this.toId = null; // --to_id, last message of the range
     this.exportPath = getExportDirectory();
     this.client = null;
     this.topicId = null;
     this.channelId = null;
+    this.rawChannelId = null; // Channel ID as written in the URL
     this.folderName = null;
+    this.outputPath = null; // --output, replaces the default <export>/<topic folder>
+    this.filenameTemplate = null; // --filename_template, saved per topic
+    this.folderLayout = null; // --folder_layout, saved per topic
+    this.mediaFilter = null; // Size, duration, caption and sender filters
+    this.downloadQueue = new DownloadQueue();
   }
 
   static description() {
@@ -65,13 +92,47 @@ Downloads all media from a Telegram topic/thread (forum topic).
 Options:
   --url          The Telegram topic URL (required)
                  Example: https://t.me/c/2209905090/22879
+  --types        Media types and file extensions to download, e.g. video,voice,pdf
+                 (image, video, audio, voice, round_video, gif, sticker, document or
+                 any extension; prompts when omitted)
+  --min_size     Skip files smaller than this, e.g. 10MB
+  --max_size     Skip files larger than this, e.g. 500MB
+  --min_duration Skip videos and audio shorter than this, e.g. 10s (seconds, or s/m/h)
+  --max_duration Skip videos and audio longer than this, e.g. 30m
+  --caption_match
+                 Only download media whose caption matches this regular expression,
+                 e.g. "#course101" (case-insensitive)
+  --caption_exclude
+                 Skip media whose caption matches this regular expression
+  --from_user    Only download media sent by these users, e.g. @alice,12345
+  --exclude_user Skip media sent by these users
   --from_date    Only download messages from this date onwards (DD/MM/YYYY or DD/MM/YYYY HH:MM)
   --until_date   Only download messages until this date (DD/MM/YYYY or DD/MM/YYYY HH:MM)
+  --from_id      Only download messages from this message ID onwards
+  --to_id        Only download messages up to this message ID
+                 (damaged files of the range are downloaded again; the resume point is left alone)
+  --sync         Only fetch messages newer than the newest one already downloaded
+  --export_html  Render an offline HTML archive (messages.html) when the download finishes
+  --output       Folder to download into, absolute or relative to the export directory
+  --filename_template
+                 Name of the downloaded files, e.g. "{date:YYYY-MM-DD}_{id}.{ext}"
+                 (remembered for the topic, see the Readme for the placeholders)
+  --folder_layout
+                 Sub folders of the files: type (default), date, sender, sender_name, album
+                 or a combination such as date/type (remembered for the topic)
+  --concurrency  Number of files downloaded at the same time (default: 3)
+  --max_rate     Combined download speed limit, e.g. 5MB/s (default: maxRate in config.json)
+  --on_file      Shell command or http(s) URL called for every downloaded file
+  --on_channel_complete
+                 Shell command or URL called when the topic is done
+  --on_failure   Shell command or URL called when a download fails
 
 Examples:
   node cli.js download-topic --url="https://t.me/c/2209905090/22879"
   node cli.js download-topic --url="https://t.me/c/2209905090/22879" --from_date=01/12/2024
   node cli.js download-topic --url="https://t.me/c/2209905090/22879" --from_date=01/12/2024 --until_date=31/12/2024
+  node cli.js download-topic --url="https://t.me/c/2209905090/22879" --export_html
+  node cli.js download-topic --url="https://t.me/c/2209905090/22879" --from_id=23000 --to_id=23500
     `.trim();
   }
 
@@ -86,7 +147,7 @@ Examples:
     return true;
   }
 
-  canDownload(message) {
+  canDownload(message, albumCaptions = null) {
     if (!this.hasMedia(message)) return false;
 
     const hasDocument = Boolean(message.media.document);
@@ -94,6 +155,7 @@ Examples:
     if (!hasDocument && !hasPhoto) return false;
 
     if (!this.isWithinDateRange(message)) return false;
+    if (!matchesMediaFilter(message, this.mediaFilter, albumCaptions)) return false;
 
     const fileExists = checkFileExist(message, this.outputFolder);
     if (fileExists) return false;
@@ -110,47 +172,10 @@ Examples:
   }
 
   recordMessages(messages) {
-    const filePath = path.join(this.outputFolder, "all_message.json");
-    if (!fs.existsSync(this.outputFolder)) {
-      fs.mkdirSync(this.outputFolder, { recursive: true });
-    }
-    const data = messages.map((msg) => {
-      let messageText = msg.message || "";
-      if (msg.entities && msg.entities.length > 0) {
-        msg.entities.sort((a, b) => b.offset - a.offset);
-        msg.entities.forEach((entity) => {
-          if (entity.className === "MessageEntityTextUrl") {
-            const url = entity.url;
-            const linkText = messageText.substring(
-              entity.offset,
-              entity.offset + entity.length
-            );
-            messageText =
-              messageText.substring(0, entity.offset) +
-              `<a href="${url}">${linkText}</a>` +
-              messageText.substring(entity.offset + entity.length);
-          }
-        });
-      }
-      return {
-        id: msg.id,
-        message: messageText,
-        date: msg.date,
-        out: msg.out,
-        hasMedia: !!msg.media,
-        sender: msg.fromId?.userId || msg.peerId?.userId,
-        mediaType: this.hasMedia(msg) ? getMediaType(msg) : undefined,
-        mediaPath: this.hasMedia(msg)
-          ? getMediaPath(msg, this.outputFolder)
-          : undefined,
-        mediaName: this.hasMedia(msg)
-          ? path.basename(getMediaPath(msg, this.outputFolder))
-          : undefined,
-      };
-    });
-    appendToJSONArrayFile(filePath, data);
+    appendMessagesToExport(this.outputFolder, messages);
   }
 
+
   async getChannelDisplayName(channelId) {
     try {
       const entity = await this.client.getEntity(channelId);
@@ -188,9 +213,61 @@ Examples:
     return lastSelection.messageOffsetId || 0;
   }
 
+  /**
+   * Downloads the media of the given messages through the download queue
+   * @param {Array} messages The downloadable messages, in processing order
+   * @param {Function} onProgress Optional callback invoked with the last message of the fully downloaded prefix
+   * @returns {Promise<boolean>} False if a download failed and processing was stopped
+   */
+  async downloadMessages(messages, onProgress = null) {
+    if (!messages.length) return true;
+
+    const progressManager = new ProgressManager();
+    progressManager.start();
+
+    const allSucceeded = await this.downloadQueue.runOrdered(
+      messages,
+      (msg) =>
+        downloadMessageMedia(
+          this.client,
+          msg,
+          getMediaPath(msg, this.outputFolder),
+          this.channelId,
+          progressManager,
+          this.outputFolder
+        ),
+      onProgress
+    );
+
+    progressManager.stop();
+
+    if (!allSucceeded) {
+      logger.warn("Some downloads failed, stopping to retry on next run");
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Remembers the newest message ID handled for the topic, used as the starting point of --sync
+   * @param {number} messageId The newest message ID that has been handled
+   */
+  updateNewestMessageId(messageId) {
+    const { newestMessageId = 0 } = getLastSelection(this.folderName);
+    if (messageId > newestMessageId) {
+      updateLastSelection(this.folderName, { newestMessageId: messageId });
+    }
+  }
+
+  /**
+   * Recursively fetches and downloads all available media from the topic
+   * @param {Number} offsetMsgId The message offset
+   * @returns {Promise<boolean>} True if every page was handled, false if it stopped on a failure
+   */
   async downloadTopic(offsetMsgId = 0) {
     try {
-      const messages = await getMessages(
+      const page = await getMessages(
         this.client,
         this.channelId,
         MESSAGE_LIMIT,
@@ -198,104 +275,191 @@ Examples:
         this.topicId
       );
 
-      if (!messages.length) {
+      if (!page.length) {
         logger.info("No more messages to download");
-        return;
+        return true;
       }
+      // An album cut off at the end of the page is handled as a whole with the next page
+      const messages = page.length === MESSAGE_LIMIT ? withoutTrailingAlbum(page) : page;
 
       const ids = messages.map((m) => m.id);
       const details = await getMessageDetail(this.client, this.channelId, ids);
-      const progressManager = new ProgressManager();
 
+      const albumCaptions = getAlbumCaptions(details);
       const downloadableMessages = details.filter((msg) =>
-        this.canDownload(msg)
+        this.canDownload(msg, albumCaptions)
       );
 
-      if (downloadableMessages.length > 0) {
-        progressManager.start();
-
-        for (
-          let i = 0;
-          i < downloadableMessages.length;
-          i += MAX_PARALLEL_DOWNLOAD
-        ) {
-          const batch = downloadableMessages.slice(i, i + MAX_PARALLEL_DOWNLOAD);
-
-          const results = await Promise.all(
-            batch.map((msg) =>
-              downloadMessageMedia(
-                this.client,
-                msg,
-                getMediaPath(msg, this.outputFolder),
-                this.channelId,
-                progressManager
-              )
-            )
-          );
-
-          const allSucceeded = results.every((success) => success);
-
-          if (allSucceeded) {
-            const oldestInBatch = batch[batch.length - 1];
-            updateLastSelection(this.folderName, {
-              messageOffsetId: oldestInBatch.id,
-            });
-          } else {
-            progressManager.stop();
-            logger.warn("Some downloads failed, stopping to retry on next run");
-            return;
-          }
-        }
-
-        progressManager.stop();
-      }
+      const completed = await this.downloadMessages(downloadableMessages, (msg) => {
+        updateLastSelection(this.folderName, {
+          messageOffsetId: msg.id,
+        });
+      });
+      if (!completed) return false;
 
       this.recordMessages(details);
+      this.updateNewestMessageId(messages[0].id);
 
       const oldestMessage = messages[messages.length - 1];
       if (this.fromDate && oldestMessage.date < this.fromDate) {
         logger.info("Reached messages older than from_date, stopping");
-        return;
+        return true;
       }
 
       await wait(ITERATION_WAIT_SECONDS);
-      await this.downloadTopic(messages[messages.length - 1].id);
+      return await this.downloadTopic(messages[messages.length - 1].id);
     } catch (err) {
       logger.error("An error occurred:");
       console.error(err);
+      return false;
     }
   }
 
-  async handle(options = {}) {
-    await wait(1);
+  /**
+   * Recursively fetches topic messages newer than the last synced one, oldest first,
+   * downloads their media and appends them to the export
+   * @param {Number} minId Only messages with a greater ID are fetched
+   * @returns {Promise<boolean>} True if every page was handled, false if it stopped on a failure
+   */
+  async syncTopic(minId = 0) {
+    try {
+      const page = await getMessages(
+        this.client,
+        this.channelId,
+        MESSAGE_LIMIT,
+        0,
+        this.topicId,
+        { minId, reverse: true }
+      );
+
+      if (!page.length) {
+        logger.info("No new messages to sync");
+        return true;
+      }
+      // An album cut off at the end of the page is handled as a whole with the next page
+      const messages = page.length === MESSAGE_LIMIT ? withoutTrailingAlbum(page) : page;
+
+      const ids = messages.map((m) => m.id);
+      const details = await getMessageDetail(this.client, this.channelId, ids);
+      const albumCaptions = getAlbumCaptions(details);
+      const downloadableMessages = details.filter((msg) => this.canDownload(msg, albumCaptions));
+
+      // The checkpoint only moves once the whole page has been handled
+      const completed = await this.downloadMessages(downloadableMessages);
+      if (!completed) return false;
+
+      this.recordMessages(details);
+
+      const newestMessage = messages[messages.length - 1];
+      this.updateNewestMessageId(newestMessage.id);
+
+      await wait(ITERATION_WAIT_SECONDS);
+      return await this.syncTopic(newestMessage.id);
+    } catch (err) {
+      logger.error("An error occurred:");
+      console.error(err);
+      return false;
+    }
+  }
+
+  /**
+   * Recursively fetches the topic messages of an ID range, oldest first, downloads their
+   * media and appends them to the export. Damaged files of the range are downloaded again.
+   * Neither the resume point nor the sync checkpoint is moved, so the range can be downloaded
+   * again at any time.
+   * @param {Number} minId Only messages with a greater ID are fetched
+   * @returns {Promise<boolean>} True if every page was handled, false if it stopped on a failure
+   */
+  async downloadRange(minId = 0) {
+    try {
+      const range = { minId, reverse: true };
+      if (this.toId) range.maxId = this.toId + 1;
+
+      const page = await getMessages(
+        this.client,
+        this.channelId,
+        MESSAGE_LIMIT,
+        0,
+        this.topicId,
+        range
+      );
+
+      if (!page.length) {
+        logger.info("No more messages in the range");
+        return true;
+      }
+      // An album cut off at the end of the page is handled as a whole with the next page
+      const messages = page.length === MESSAGE_LIMIT ? withoutTrailingAlbum(page) : page;
+
+      const ids = messages.map((m) => m.id);
+      const details = await getMessageDetail(this.client, this.channelId, ids);
+      // Files of the range already on disk are only kept when they are intact
+      await removeDamagedFiles(this.outputFolder, details);
+
+      const albumCaptions = getAlbumCaptions(details);
+      const downloadableMessages = details.filter((msg) => this.canDownload(msg, albumCaptions));
+
+      const completed = await this.downloadMessages(downloadableMessages);
+      if (!completed) return false;
+
+      this.recordMessages(details);
+
+      await wait(ITERATION_WAIT_SECONDS);
+      return await this.downloadRange(messages[messages.length - 1].id);
+    } catch (err) {
+      logger.error("An error occurred:");
+      console.error(err);
+      return false;
+    }
+  }
 
+  /**
+   * Reads the topic URL and download settings (concurrency, date and message ID ranges, media filters, output folder) from the options
+   * @param {Object} options The command options
+   * @throws {Error} If an option is invalid
+   */
+  applyOptions(options = {}) {
     // Validate URL
     const url = options.url;
     if (!url) {
-      logger.error("URL is required. Use --url=\"https://t.me/c/channelId/topicId\"");
-      logger.info("Run with --help for usage information");
-      process.exit(1);
+      throw new Error("URL is required. Use --url=\"https://t.me/c/channelId/topicId\"");
     }
 
     // Parse the topic URL
     const parsed = parseTopicUrl(url);
     if (!parsed) {
-      logger.error(`Invalid topic URL: ${url}`);
-      logger.info("Expected format: https://t.me/c/channelId/topicId");
-      process.exit(1);
+      throw new Error(`Invalid topic URL: ${url}. Expected format: https://t.me/c/channelId/topicId`);
     }
 
     this.topicId = parsed.topicId;
     this.channelId = toApiChannelId(parsed.channelId);
+    this.rawChannelId = parsed.channelId;
+
+    if (options.concurrency) {
+      this.downloadQueue = new DownloadQueue(options.concurrency);
+    }
+
+    if (options.output) {
+      this.outputPath = options.output;
+    }
+
+    if (options.filename_template) {
+      validateFilenameTemplate(options.filename_template);
+      this.filenameTemplate = options.filename_template;
+    }
+    if (options.folder_layout) {
+      this.folderLayout = parseFolderLayout(options.folder_layout).join("/");
+    }
+
+    this.mediaFilter = parseMediaFilter(options);
 
     // Parse date filters
     if (options.from_date) {
       this.fromDate = parseDateString(options.from_date, false);
       if (!this.fromDate) {
-        logger.error(
+        throw new Error(
           `Invalid from_date format: "${options.from_date}". Expected DD/MM/YYYY or DD/MM/YYYY HH:MM`
         );
-        process.exit(1);
       }
       logger.info(`Filtering messages from: ${options.from_date}`);
     }
@@ -303,64 +467,166 @@ Examples:
     if (options.until_date) {
       this.untilDate = parseDateString(options.until_date, true);
       if (!this.untilDate) {
-        logger.error(
+        throw new Error(
           `Invalid until_date format: "${options.until_date}". Expected DD/MM/YYYY or DD/MM/YYYY HH:MM`
         );
-        process.exit(1);
       }
       logger.info(`Filtering messages until: ${options.until_date}`);
     }
 
     if (this.fromDate && this.untilDate && this.fromDate > this.untilDate) {
-      logger.error("from_date cannot be after until_date");
-      process.exit(1);
+      throw new Error("from_date cannot be after until_date");
     }
 
-    try {
-      logger.info("Connecting to Telegram...");
-      this.client = await initAuth();
-
-      // Get channel and topic names for folder
-      const channelName = await this.getChannelDisplayName(this.channelId);
-      const topicTitle = await this.getTopicTitle(this.topicId);
-
-      // Use topic title for folder name, fallback to channel name + topic ID
-      let folderDisplayName;
-      if (topicTitle) {
-        folderDisplayName = sanitizeFolderName(topicTitle) || `topic_${parsed.topicId}`;
-      } else {
-        const sanitizedChannel = sanitizeFolderName(channelName) || `channel_${parsed.channelId}`;
-        folderDisplayName = `${sanitizedChannel}_topic_${parsed.topicId}`;
-      }
+    // A sync always runs up to the newest message, so it would skip past anything after until_date
+    if (options.sync && this.untilDate) {
+      throw new Error("until_date cannot be combined with --sync");
+    }
 
-      this.folderName = `topic_${folderDisplayName}`;
-      this.outputFolder = path.join(this.exportPath, this.folderName);
+    // Parse the message ID range
+    if (options.from_id !== undefined) {
+      this.fromId = parseMessageId(options.from_id);
+      if (!this.fromId) {
+        throw new Error(`Invalid from_id: "${options.from_id}". Expected a message ID`);
+      }
+    }
 
-      if (!fs.existsSync(this.outputFolder)) {
-        fs.mkdirSync(this.outputFolder, { recursive: true });
+    if (options.to_id !== undefined) {
+      this.toId = parseMessageId(options.to_id);
+      if (!this.toId) {
+        throw new Error(`Invalid to_id: "${options.to_id}". Expected a message ID`);
       }
+    }
 
-      logger.info(`Channel: ${channelName}`);
-      logger.info(`Topic: ${topicTitle || `ID ${this.topicId}`}`);
-      logger.info(`Output folder: ${this.outputFolder}`);
+    if (this.fromId && this.toId && this.fromId > this.toId) {
+      throw new Error("from_id cannot be after to_id");
+    }
+    if (options.sync && (this.fromId || this.toId)) {
+      throw new Error("from_id and to_id cannot be combined with --sync");
+    }
+  }
+
+  /**
+   * Downloads the topic with an already authenticated client.
+   * Does not disconnect or exit, so run-jobs and daemon can reuse the client across runs.
+   * @param {Object} client The Telegram client instance
+   * @param {Object} options The command options, after applyOptions
+   * @returns {Promise<{success: boolean, title: string, outputFolder: string}>}
+   */
+  async run(client, options = {}) {
+    this.client = client;
+
+    // Get channel and topic names for folder
+    const channelName = await this.getChannelDisplayName(this.channelId);
+    const topicTitle = await this.getTopicTitle(this.topicId);
+
+    // Use topic title for folder name, fallback to channel name + topic ID
+    let folderDisplayName;
+    if (topicTitle) {
+      folderDisplayName = sanitizeFolderName(topicTitle) || `topic_${this.topicId}`;
+    } else {
+      const sanitizedChannel = sanitizeFolderName(channelName) || `channel_${this.rawChannelId}`;
+      folderDisplayName = `${sanitizedChannel}_topic_${this.topicId}`;
+    }
 
-      // Get downloadable file types
+    this.folderName = `topic_${folderDisplayName}`;
+    this.outputFolder = this.outputPath
+      ? path.resolve(this.exportPath, this.outputPath)
+      : path.join(this.exportPath, this.folderName);
+
+    if (!fs.existsSync(this.outputFolder)) {
+      fs.mkdirSync(this.outputFolder, { recursive: true });
+    }
+    useMediaNaming(this.folderName, this.outputFolder, {
+      filenameTemplate: this.filenameTemplate,
+      folderLayout: this.folderLayout,
+      channelName,
+    });
+
+    logger.info(`Channel: ${channelName}`);
+    logger.info(`Topic: ${topicTitle || `ID ${this.topicId}`}`);
+    logger.info(`Output folder: ${this.outputFolder}`);
+
+    // Get downloadable file types
+    this.downloadableFiles =
+      options.downloadableFiles ||
+      (options.types && parseMediaTypes(options.types));
+    if (!this.downloadableFiles) {
       this.downloadableFiles = await downloadOptionInput();
+      if (!this.mediaFilter) this.mediaFilter = parseMediaFilter(await mediaFilterInput());
+    }
+    await resolveUserFilter(client, this.mediaFilter);
 
+    let success;
+    if (this.fromId || this.toId) {
+      logger.info(
+        `Downloading messages #${this.fromId || 1} to #${this.toId || "latest"} from topic "${topicTitle || this.topicId}"`
+      );
+      success = await this.downloadRange((this.fromId || 1) - 1);
+    } else if (options.sync) {
+      const { newestMessageId } = getLastSelection(this.folderName);
+      logger.info(
+        newestMessageId
+          ? `Syncing messages newer than #${newestMessageId} from topic "${topicTitle || this.topicId}"`
+          : `No sync checkpoint for topic "${topicTitle || this.topicId}" yet, syncing all messages`
+      );
+      success = await this.syncTopic(newestMessageId || 0);
+    } else {
       const messageOffsetId = this.getMessageOffset();
 
       logger.info(`Downloading media from topic "${topicTitle || this.topicId}"...`);
-      await this.downloadTopic(messageOffsetId);
+      success = await this.downloadTopic(messageOffsetId);
+    }
+
+    const title = topicTitle || `${channelName} - topic ${this.topicId}`;
+    if (options.export_html) {
+      await exportChannelHtml(this.outputFolder, { title });
+    }
+
+    const hookPayload = {
+      channelId: String(this.rawChannelId),
+      channel: channelName,
+      topicId: this.topicId,
+      topic: topicTitle,
+      outputFolder: this.outputFolder,
+    };
+    if (success) {
+      await emitHook(HOOK_EVENTS.CHANNEL_COMPLETE, hookPayload);
+    } else {
+      await emitHook(HOOK_EVENTS.FAILURE, { ...hookPayload, error: "Stopped after a failed download" });
+    }
+
+    return { success, title, outputFolder: this.outputFolder };
+  }
+
+  async handle(options = {}) {
+    await wait(1);
+
+    try {
+      this.applyOptions(options);
+      rateLimiter.configure(options.max_rate);
+      configureHooks(options);
+    } catch (err) {
+      logger.error(err.message);
+      logger.info("Run with --help for usage information");
+      process.exit(1);
+    }
+
+    try {
+      logger.info("Connecting to Telegram...");
+      this.client = await initAuth(options);
+      await this.run(this.client, options);
 
       logger.success("Done!");
     } catch (err) {
       logger.error(`An error occurred: ${err.message}`);
       console.error(err);
+      process.exitCode = 1;
     } finally {
       if (this.client) {
         await this.client.disconnect();
       }
-      process.exit(0);
+      process.exit();
     }
   }
 }
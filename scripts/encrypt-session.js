@@ -0,0 +1,64 @@
+"use strict";
+
+const { getCredentials, updateCredentials, getActiveProfile } = require("../utils/file-helper");
+const {
+  PASSPHRASE_ENV,
+  isEncryptedSessionId,
+  encryptSessionId,
+  getSessionPassphrase,
+} = require("../utils/session-crypto");
+const logger = require("../utils/logger");
+
+/**
+ * Encrypts the plain text sessionId saved in config.json with a passphrase.
+ *
+ * Usage:
+ *   node cli.js encrypt-session
+ *   node cli.js encrypt-session --profile=work
+ */
+class EncryptSession {
+  static description() {
+    return "Encrypt the saved session in config.json with a passphrase";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js encrypt-session [--profile=<name>]
+
+Replaces the plain text sessionId of config.json (or of the selected profile)
+with a copy encrypted by a passphrase, and turns on encryptSession so future
+logins are saved encrypted too. Every command then asks for the passphrase,
+or reads it from the ${PASSPHRASE_ENV} environment variable.
+
+Examples:
+  node cli.js encrypt-session
+  ${PASSPHRASE_ENV}=secret node cli.js encrypt-session --profile=work
+    `.trim();
+  }
+
+  async handle() {
+    const target = getActiveProfile() ? `profile "${getActiveProfile()}"` : "config.json";
+
+    try {
+      const { sessionId } = getCredentials();
+      if (!sessionId) {
+        logger.error(`No session saved for ${target}. Log in first with: node cli.js login`);
+        process.exit(1);
+      }
+      if (isEncryptedSessionId(sessionId)) {
+        logger.info(`The session of ${target} is already encrypted`);
+        process.exit(0);
+      }
+
+      const passphrase = await getSessionPassphrase(true);
+      updateCredentials({ sessionId: encryptSessionId(sessionId, passphrase), encryptSession: true });
+      logger.success(`The session of ${target} is now encrypted`);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+}
+
+module.exports = EncryptSession;
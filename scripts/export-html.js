@@ -0,0 +1,78 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { exportChannelHtml } = require("../modules/html-export");
+const { listExportFolders } = require("../modules/message-export");
+const { getExportDirectory } = require("../utils/helper");
+const logger = require("../utils/logger");
+const { selectInput } = require("../utils/input-helper");
+
+/**
+ * Renders an offline, chat-style HTML archive from a downloaded channel or topic folder.
+ *
+ * Usage:
+ *   node cli.js export-html --folder=My_Channel_1002858083105
+ */
+class ExportHtml {
+  constructor() {
+    this.exportPath = getExportDirectory();
+  }
+
+  static description() {
+    return "Render an offline HTML archive from a downloaded channel";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js export-html [--folder=<folder>] [options]
+
+Renders the messages recorded in all_message.jsonl as paginated HTML pages
+(messages.html, messages2.html, ...) inside the export folder. Media is linked
+relatively, so the whole folder can be copied and opened offline.
+
+Options:
+  --folder       Export folder name (inside the export directory) or absolute path
+                 Prompts for a folder when omitted
+  --page_size    Messages per page (default: 500)
+
+Examples:
+  node cli.js export-html
+  node cli.js export-html --folder=My_Channel_1002858083105
+  node cli.js export-html --folder="/data/archive/topic_Lectures" --page_size=200
+    `.trim();
+  }
+
+  async handle(options = {}) {
+    try {
+      let folder = options.folder;
+
+      if (!folder) {
+        const folders = listExportFolders(this.exportPath);
+        if (!folders.length) {
+          logger.error(`No exported channels found in ${this.exportPath}`);
+          process.exit(1);
+        }
+        folder = await selectInput("Please select a folder to export", folders);
+      }
+
+      const outputFolder = path.isAbsolute(folder)
+        ? folder
+        : path.join(this.exportPath, folder);
+
+      if (!fs.existsSync(outputFolder)) {
+        logger.error(`Folder not found: ${outputFolder}`);
+        process.exit(1);
+      }
+
+      await exportChannelHtml(outputFolder, { pageSize: options.page_size });
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      console.error(err);
+    } finally {
+      process.exit(0);
+    }
+  }
+}
+
+module.exports = ExportHtml;
@@ -0,0 +1,80 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  convertExportToJSONArray,
+  listExportFolders,
+  MESSAGES_JSON_FILE,
+} = require("../modules/message-export");
+const { getExportDirectory } = require("../utils/helper");
+const logger = require("../utils/logger");
+const { selectInput } = require("../utils/input-helper");
+
+/**
+ * Converts the streaming all_message.jsonl export of a folder into a flat all_message.json array.
+ *
+ * Usage:
+ *   node cli.js export-json --folder=My_Channel_1002858083105
+ */
+class ExportJson {
+  constructor() {
+    this.exportPath = getExportDirectory();
+  }
+
+  static description() {
+    return "Convert all_message.jsonl into a flat all_message.json";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js export-json [--folder=<folder>]
+
+Messages are recorded one per line in all_message.jsonl while downloading.
+This command writes them as a single flat JSON array to all_message.json,
+keeping only the latest version of messages that were recorded more than once.
+
+Options:
+  --folder    Export folder name (inside the export directory) or absolute path
+              Prompts for a folder when omitted
+
+Examples:
+  node cli.js export-json
+  node cli.js export-json --folder=My_Channel_1002858083105
+    `.trim();
+  }
+
+  async handle(options = {}) {
+    try {
+      let folder = options.folder;
+
+      if (!folder) {
+        const folders = listExportFolders(this.exportPath);
+        if (!folders.length) {
+          logger.error(`No exported channels found in ${this.exportPath}`);
+          process.exit(1);
+        }
+        folder = await selectInput("Please select a folder to convert", folders);
+      }
+
+      const outputFolder = path.isAbsolute(folder)
+        ? folder
+        : path.join(this.exportPath, folder);
+
+      if (!fs.existsSync(outputFolder)) {
+        logger.error(`Folder not found: ${outputFolder}`);
+        process.exit(1);
+      }
+
+      const count = await convertExportToJSONArray(outputFolder);
+      logger.success(`Wrote ${count} messages to ${path.join(outputFolder, MESSAGES_JSON_FILE)}`);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      console.error(err);
+    } finally {
+      process.exit(0);
+    }
+  }
+}
+
+module.exports = ExportJson;
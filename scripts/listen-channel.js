@@ -1,71 +1,494 @@
-const { NewMessage } = require("telegram/events");
+const fs = require("fs");
+const { NewMessage, EditedMessage, Raw } = require("telegram/events");
+const { UpdateConnectionState } = require("telegram/network");
+const { utils } = require("telegram");
 const { getAllDialogs, getDialogName } = require("../modules/dialoges");
-const { downloadMessageMedia, getMessageDetail } = require("../modules/messages");
-const { getMediaPath, wait, createChannelFolderName, getExportDirectory } = require("../utils/helper");
+const {
+  getMessages,
+  downloadMessageMedia,
+  getMessageDetail,
+  withoutTrailingAlbum,
+} = require("../modules/messages");
+const {
+  getMediaType,
+  getMediaPath,
+  getSavedMediaPath,
+  checkFileExist,
+  wait,
+  createChannelFolderName,
+  getExportDirectory,
+} = require("../utils/helper");
+const { getLastSelection, updateLastSelection, useMediaNaming } = require("../utils/file-helper");
+const { validateFilenameTemplate } = require("../utils/filename-template");
+const { parseFolderLayout } = require("../utils/folder-layout");
+const {
+  parseMediaFilter,
+  matchesMediaFilter,
+  getAlbumCaptions,
+  resolveUserFilter,
+} = require("../modules/media-filter");
+const { appendMessagesToExport } = require("../modules/message-export");
+const { getMediaKey, isMediaIndexed, getIndexedMediaKey } = require("../modules/media-index");
+const { extractFileInfo } = require("../modules/resumable-download");
 const logger = require("../utils/logger");
 const ProgressManager = require("../utils/progress");
+const DownloadQueue = require("../utils/download-queue");
+const { rateLimiter } = require("../utils/rate-limiter");
+const { configureHooks } = require("../modules/hooks");
 const { initAuth } = require("../modules/auth");
-const { selectInput } = require("../utils/input-helper");
+const { selectInput, parseMediaTypes } = require("../utils/input-helper");
 const path = require("path");
 
+const MESSAGE_LIMIT = 50;
+const ITERATION_WAIT_SECONDS = 3;
+const ALBUM_WAIT_SECONDS = 0.5; // Parts of an album arrive as separate updates in quick succession
+
+/**
+ * Splits the --channelId option into a list of channel IDs
+ * @param {string|number} value - e.g. 12345 or "12345,-1001234567890"
+ * @returns {Array<string>}
+ */
+const parseChannelIds = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+/**
+ * Checks whether an edit replaced the media of a message. Edits of the text alone keep the
+ * same Telegram file, which is then already downloaded.
+ * @param {Object} message - The edited message
+ * @param {string} mediaPath - Where the media of the message is stored, see getSavedMediaPath
+ * @returns {boolean} True if the media has to be downloaded
+ */
+const isMediaReplaced = (message, mediaPath) => {
+  // Already downloaded to this path. A copy elsewhere, e.g. the same file posted in another
+  // channel, means the old media of the message is still on disk
+  if (isMediaIndexed(message, mediaPath)) return false;
+  if (!fs.existsSync(mediaPath)) return true;
+
+  // The file holds the previous media of the message
+  const indexedKey = getIndexedMediaKey(mediaPath);
+  if (indexedKey) return indexedKey !== getMediaKey(message);
+
+  // Downloaded before the media index existed: compare sizes
+  const expectedSize = extractFileInfo(message)?.fileSize?.toJSNumber();
+  return Boolean(expectedSize) && fs.statSync(mediaPath).size !== expectedSize;
+};
+
 class ListenChannel {
   constructor() {
-    this.channelId = null;
-    this.dialogName = null;
+    this.channels = new Map(); // Marked peer ID => listened channel
     this.client = null;
+    this.canCatchUp = true; // Bots cannot read the history of a chat
+    this.listening = false;
+    this.filenameTemplate = null; // --filename_template
+    this.folderLayout = null; // --folder_layout
+    this.downloadableFiles = null; // --types, every media type when null
+    this.mediaFilter = null; // Size, duration, caption and sender filters
+    this.downloadQueue = new DownloadQueue();
+    this.progressManager = new ProgressManager();
     this.handleNewMessage = this.handleNewMessage.bind(this);
+    this.handleEditedMessage = this.handleEditedMessage.bind(this);
+    this.handleConnectionState = this.handleConnectionState.bind(this);
   }
 
   static description() {
-    return "Listen to a channel and download media from incoming messages";
+    return "Listen to channels and download media from incoming messages";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js listen-channel [--channelId=<id>[,<id>...]] [options]
+
+Listens for new messages in one or more channels and downloads their media as they arrive.
+Every message is appended to the channel's all_message.jsonl, like download-channel does.
+Albums are handled as one unit. Edited messages are recorded again, and replaced media is
+downloaded again.
+The newest handled message of each channel is saved in its tracking file. On startup and
+after a reconnect, messages posted while the listener was away are fetched first, so the
+archive has no gaps. A channel without a saved message is listened to from now on.
+
+Options:
+  --channelId      Comma-separated channel IDs (prompts for a channel when omitted)
+  --types          Media types and file extensions to download, e.g. video,voice,pdf
+                   (image, video, audio, voice, round_video, gif, sticker, document or
+                   any extension; all media when omitted)
+  --min_size       Skip files smaller than this, e.g. 10MB
+  --max_size       Skip files larger than this, e.g. 500MB
+  --min_duration   Skip videos and audio shorter than this, e.g. 10s (seconds, or s/m/h)
+  --max_duration   Skip videos and audio longer than this, e.g. 30m
+  --caption_match  Only download media whose caption matches this regular expression,
+                   e.g. "#course101" (case-insensitive)
+  --caption_exclude
+                   Skip media whose caption matches this regular expression
+  --from_user      Only download media sent by these users, e.g. @alice,12345
+  --exclude_user   Skip media sent by these users
+  --concurrency    Number of files downloaded at the same time (default: 3)
+  --max_rate       Combined download speed limit, e.g. 5MB/s (default: maxRate in config.json)
+  --filename_template
+                   Name of the downloaded files, e.g. "{date:YYYY-MM-DD}_{id}.{ext}"
+                   (remembered per channel, see the Readme for the placeholders)
+  --folder_layout  Sub folders of the files: type (default), date, sender, sender_name,
+                   topic, album or a combination such as date/type (remembered per channel)
+  --on_file        Shell command or http(s) URL called for every downloaded file
+  --on_failure     Shell command or URL called when a download fails
+  --bot_token      Listen as a bot that is admin of the channels (env: TG_BOT_TOKEN)
+                   --channelId is required in that case, and missed messages are not
+                   fetched since bots cannot read the history of a chat
+
+Examples:
+  node cli.js listen-channel --channelId=12345
+  node cli.js listen-channel --channelId=12345,67890 --concurrency=5
+  node cli.js listen-channel --channelId=12345 --max_rate=2MB/s
+  node cli.js listen-channel --channelId=-1001234567890 --bot_token=123456:ABC-DEF
+    `.trim();
+  }
+
+  /**
+   * Resolves a channel and loads its tracking state
+   * @param {string|number} channelId - The channel ID as given by the user
+   * @returns {Promise<Object>} The listened channel
+   */
+  async addChannel(channelId) {
+    const entity = await this.client.getEntity(channelId);
+    const dialogName = await getDialogName(this.client, channelId);
+    const folderName = createChannelFolderName(dialogName, channelId);
+    const outputFolder = path.join(getExportDirectory(), folderName);
+    let { newestMessageId = 0 } = getLastSelection(folderName);
+    if (!newestMessageId && this.canCatchUp) {
+      // Nothing handled yet: start from the current newest message instead of the whole history.
+      // Taken before subscribing, so a message posted in between is caught up on, not dropped.
+      const [latest] = await getMessages(this.client, channelId, 1);
+      newestMessageId = latest?.id || 0;
+      updateLastSelection(folderName, { newestMessageId });
+      logger.info(`[${dialogName}] No saved position, listening from message ${newestMessageId}`);
+    }
+    useMediaNaming(folderName, outputFolder, {
+      filenameTemplate: this.filenameTemplate,
+      folderLayout: this.folderLayout,
+      channelName: dialogName,
+    });
+
+    const channel = {
+      channelId,
+      dialogName,
+      folderName,
+      outputFolder,
+      lastSeenId: newestMessageId, // Newest message handled in this session
+      albums: new Map(), // groupedId => album whose parts are still arriving
+      checkpointBlocked: false, // Set when a download failed, until the next catch-up retries it
+      recordedIds: new Set(), // Messages past the checkpoint already in the export, see processMessages
+      pending: Promise.resolve(), // Messages of a channel are handled one batch at a time
+    };
+    this.channels.set(utils.getPeerId(entity), channel);
+    return channel;
+  }
+
+  /**
+   * Runs a task after the previous tasks of the channel, keeping its messages in order
+   * @param {Object} channel - The listened channel
+   * @param {Function} task - Async task
+   * @returns {Promise<void>}
+   */
+  enqueue(channel, task) {
+    channel.pending = channel.pending.then(task).catch((err) => {
+      logger.error(`[${channel.dialogName}] ${err.message}`);
+    });
+    return channel.pending;
+  }
+
+  /**
+   * Checks whether a message has media of a type selected with --types that passes the
+   * size, duration, caption and sender filters
+   * @param {Object} message - The Telegram message
+   * @param {string} outputFolder - The channel export folder
+   * @param {Map} [albumCaptions] - Captions of the albums of the batch, see getAlbumCaptions
+   * @returns {boolean}
+   */
+  isWantedMedia(message, outputFolder, albumCaptions = null) {
+    if (!message.media?.document && !message.media?.photo) return false;
+    if (!matchesMediaFilter(message, this.mediaFilter, albumCaptions)) return false;
+    if (!this.downloadableFiles) return true;
+
+    const extension = path.extname(getMediaPath(message, outputFolder)).toLowerCase().replace(".", "");
+    return Boolean(
+      this.downloadableFiles[getMediaType(message)] ||
+      this.downloadableFiles[extension] ||
+      this.downloadableFiles.all
+    );
+  }
+
+  /**
+   * Downloads the media of messages, records them in the export and moves the channel's
+   * checkpoint past them
+   * @param {Object} channel - The listened channel
+   * @param {Array} messages - Messages of the channel, oldest first
+   */
+  async processMessages(channel, messages) {
+    if (!messages.length) return;
+
+    const albumCaptions = getAlbumCaptions(messages);
+    const mediaMessages = messages.filter(
+      (msg) =>
+        this.isWantedMedia(msg, channel.outputFolder, albumCaptions) &&
+        !checkFileExist(msg, channel.outputFolder)
+    );
+
+    const results = await Promise.all(
+      mediaMessages.map((msg) =>
+        this.downloadQueue.push(() =>
+          downloadMessageMedia(
+            this.client,
+            msg,
+            getMediaPath(msg, channel.outputFolder),
+            channel.channelId,
+            this.progressManager,
+            channel.outputFolder
+          )
+        )
+      )
+    );
+    this.downloadQueue.onIdle().then(() => this.progressManager.stop());
+
+    // A message whose download failed is recorded when a catch-up has downloaded it. The
+    // catch-up fetches the messages after it again too, which are not recorded twice.
+    const failedIds = new Set(mediaMessages.filter((msg, i) => !results[i]).map((msg) => msg.id));
+    const toRecord = messages.filter((msg) => !failedIds.has(msg.id) && !channel.recordedIds.has(msg.id));
+    if (toRecord.length) {
+      appendMessagesToExport(channel.outputFolder, toRecord);
+      toRecord.forEach((msg) => channel.recordedIds.add(msg.id));
+    }
+
+    const newestId = Math.max(...messages.map((msg) => msg.id));
+    channel.lastSeenId = Math.max(channel.lastSeenId, newestId);
+
+    if (results.includes(false)) {
+      // Keep the checkpoint before the failed message, the next catch-up retries it
+      channel.checkpointBlocked = true;
+      logger.warn(`[${channel.dialogName}] Some downloads failed, they are retried after the next reconnect or restart`);
+      return;
+    }
+
+    const { newestMessageId = 0 } = getLastSelection(channel.folderName);
+    if (!channel.checkpointBlocked && newestId > newestMessageId) {
+      updateLastSelection(channel.folderName, { newestMessageId: newestId });
+      // Catch-ups start after the checkpoint, so these are never handled again
+      channel.recordedIds.forEach((id) => {
+        if (id <= newestId) channel.recordedIds.delete(id);
+      });
+    }
+  }
+
+  /**
+   * Fetches and handles the messages posted since the channel's checkpoint
+   * @param {Object} channel - The listened channel
+   */
+  async catchUp(channel) {
+    const { newestMessageId = 0 } = getLastSelection(channel.folderName);
+
+    channel.checkpointBlocked = false;
+    let minId = newestMessageId;
+    let fetched = 0;
+
+    for (;;) {
+      const messages = await getMessages(this.client, channel.channelId, MESSAGE_LIMIT, 0, null, {
+        minId,
+        reverse: true,
+      });
+      if (!messages.length) break;
+
+      const batch = messages.length === MESSAGE_LIMIT ? withoutTrailingAlbum(messages) : messages;
+      await this.processMessages(channel, batch);
+      fetched += batch.length;
+      minId = batch[batch.length - 1].id;
+      await wait(ITERATION_WAIT_SECONDS);
+    }
+
+    if (fetched) {
+      logger.info(`[${channel.dialogName}] Caught up on ${fetched} missed message(s)`);
+    }
+  }
+
+  /**
+   * Queues a catch-up of every listened channel
+   */
+  catchUpAll() {
+    if (!this.canCatchUp) return;
+
+    for (const channel of this.channels.values()) {
+      this.enqueue(channel, () => this.catchUp(channel));
+    }
+  }
+
+  /**
+   * Handles incoming messages that have not been handled by a catch-up yet
+   * @param {Object} channel - The listened channel
+   * @param {Array} messages - One message, or the parts of an album
+   */
+  async processIncoming(channel, messages) {
+    const newMessages = messages
+      .filter((msg) => msg.id > channel.lastSeenId)
+      .sort((a, b) => a.id - b.id);
+    if (!newMessages.length) return;
+
+    const mediaIds = newMessages.filter((msg) => msg.media).map((msg) => msg.id);
+    const details = mediaIds.length
+      ? await getMessageDetail(this.client, channel.channelId, mediaIds)
+      : [];
+    const detailsById = new Map(details.filter(Boolean).map((msg) => [msg.id, msg]));
+
+    await this.processMessages(
+      channel,
+      newMessages.map((msg) => detailsById.get(msg.id) || msg)
+    );
+  }
+
+  /**
+   * Collects the parts of an album, so they are downloaded and recorded together
+   * @param {Object} channel - The listened channel
+   * @param {Object} message - A message with a groupedId
+   */
+  collectAlbumMessage(channel, message) {
+    const groupedId = message.groupedId.toString();
+    const pending = channel.albums.get(groupedId);
+    if (pending) {
+      pending.messages.push(message);
+      pending.receivedAt = Date.now();
+      return;
+    }
+
+    const album = { messages: [message], receivedAt: Date.now() };
+    channel.albums.set(groupedId, album);
+
+    // Queued when the first part arrives, so the album keeps its place among the other messages
+    this.enqueue(channel, async () => {
+      while (Date.now() - album.receivedAt < ALBUM_WAIT_SECONDS * 1000) {
+        await wait(ALBUM_WAIT_SECONDS);
+      }
+      channel.albums.delete(groupedId);
+
+      logger.info(`[${channel.dialogName}] Album of ${album.messages.length} message(s) received`);
+      await this.processIncoming(channel, album.messages);
+    });
   }
-  
+
   async handleNewMessage(event) {
-    const messageChatId =
-      event.message?.peerId?.chatId ||
-      event.message?.peerId?.channelId ||
-      event.message?.peerId?.userId;
-    if (Number(messageChatId) !== Number(this.channelId)) {
-      logger.info("Message from another channel");
+    const channel = this.channels.get(String(event.message?.chatId));
+    if (!channel) return;
+
+    if (event.message.groupedId) {
+      this.collectAlbumMessage(channel, event.message);
       return;
     }
 
-    const messageId = event.message?.id;
-    const isMedia = !!event.message?.media;
-    if (isMedia) {
-      const folderName = createChannelFolderName(this.dialogName, this.channelId);
-      const outputFolder = path.join(getExportDirectory(), folderName);
-
-      const details = await getMessageDetail(this.client, this.channelId, [
-        messageId,
-      ]);
-      const progressManager = new ProgressManager();
-      progressManager.start();
-
-      for (const msg of details) {
-        await downloadMessageMedia(
-          this.client,
-          msg,
-          getMediaPath(msg, outputFolder),
-          this.channelId,
-          progressManager
+    this.enqueue(channel, () => this.processIncoming(channel, [event.message]));
+  }
+
+  /**
+   * Records an edited message again and downloads its media if it was replaced
+   * @param {Object} channel - The listened channel
+   * @param {Object} message - The edited message
+   */
+  async processEdit(channel, message) {
+    if (this.isWantedMedia(message, channel.outputFolder)) {
+      const savedPath = getSavedMediaPath(message, channel.outputFolder);
+
+      if (isMediaReplaced(message, savedPath)) {
+        // The new media can have the same file name as the old one (photos are named after the message)
+        if (fs.existsSync(savedPath)) fs.unlinkSync(savedPath);
+        const mediaPath = getMediaPath(message, channel.outputFolder);
+
+        logger.info(`[${channel.dialogName}] Media of message ${message.id} changed, downloading it again`);
+        const downloaded = await this.downloadQueue.push(() =>
+          downloadMessageMedia(
+            this.client,
+            message,
+            mediaPath,
+            channel.channelId,
+            this.progressManager,
+            channel.outputFolder
+          )
         );
-      }
+        this.downloadQueue.onIdle().then(() => this.progressManager.stop());
 
-      progressManager.stop();
-    } else {
-      logger.info("No media found in the message");
+        if (!downloaded) {
+          logger.warn(`[${channel.dialogName}] Could not download the new media of message ${message.id}`);
+        }
+      }
     }
+
+    // The export keeps the latest record of a message
+    appendMessagesToExport(channel.outputFolder, [message]);
+  }
+
+  async handleEditedMessage(event) {
+    const channel = this.channels.get(String(event.message?.chatId));
+    if (!channel) return;
+
+    const messageId = event.message.id;
+    this.enqueue(channel, async () => {
+      // Not handled yet, it is processed with its edited content
+      if (messageId > channel.lastSeenId) return;
+
+      const [message] = await getMessageDetail(this.client, channel.channelId, [messageId]);
+      if (message) await this.processEdit(channel, message);
+    });
+  }
+
+  /**
+   * Fetches the messages missed while the connection was down
+   * @param {UpdateConnectionState} update - Connection state change reported by the client
+   */
+  handleConnectionState(update) {
+    if (!this.listening || update.state !== UpdateConnectionState.connected) return;
+
+    logger.info("Reconnected, fetching messages posted while disconnected");
+    this.catchUpAll();
   }
 
   async handle(options = {}) {
-    let channelId = Number(options.channelId);
+    let channelIds = parseChannelIds(options.channelId);
     let client;
     await wait(1);
+
+    if (options.concurrency) {
+      this.downloadQueue = new DownloadQueue(options.concurrency);
+    }
+
+    try {
+      rateLimiter.configure(options.max_rate);
+      configureHooks(options);
+      if (options.filename_template) {
+        validateFilenameTemplate(options.filename_template);
+        this.filenameTemplate = options.filename_template;
+      }
+      if (options.folder_layout) {
+        this.folderLayout = parseFolderLayout(options.folder_layout).join("/");
+      }
+      if (options.types) {
+        this.downloadableFiles = parseMediaTypes(options.types);
+      }
+      this.mediaFilter = parseMediaFilter(options);
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
+
     try {
-      client = await initAuth();
+      client = await initAuth(options, { allowBot: true });
+      this.client = client;
+
+      const isBot = await client.isBot();
+      this.canCatchUp = !isBot;
+      await resolveUserFilter(client, this.mediaFilter);
+
+      if (!channelIds.length) {
+        if (isBot) {
+          logger.error("--channelId is required when listening as a bot: bots cannot list chats");
+          process.exit(1);
+        }
 
-      if (!channelId) {
         logger.info("Please select a channel to download media from");
         const allChannels = await getAllDialogs(client);
         const options = allChannels.map((d) => ({
@@ -73,18 +496,30 @@ class ListenChannel {
           value: d.id,
         }));
 
-        channelId = await selectInput("Please select a channel", options);
+        channelIds = [await selectInput("Please select a channel", options)];
       }
 
-      this.channelId = channelId;
-      this.client = client;
+      for (const channelId of channelIds) {
+        const channel = await this.addChannel(channelId);
+        logger.info(`Listening to: ${channel.dialogName}`);
+      }
 
-      this.dialogName = await getDialogName(client, channelId);
-      logger.info(`Listening to: ${this.dialogName}`);
-      client.addEventHandler(this.handleNewMessage, new NewMessage({}));
+      // Subscribe before catching up, so nothing posted in between is missed
+      const chats = [...this.channels.keys()];
+      client.addEventHandler(this.handleNewMessage, new NewMessage({ chats }));
+      client.addEventHandler(this.handleEditedMessage, new EditedMessage({ chats }));
+      client.addEventHandler(this.handleConnectionState, new Raw({ types: [UpdateConnectionState] }));
+      this.listening = true;
+
+      if (!this.canCatchUp) {
+        logger.warn("Bots cannot read chat history, messages posted while the listener is down are not fetched");
+      }
+      this.catchUpAll();
     } catch (err) {
       logger.error("An error occurred:");
       console.error(err);
+      if (client) await client.disconnect();
+      process.exit(1);
     }
   }
 }
@@ -0,0 +1,62 @@
+"use strict";
+
+const { initAuth } = require("../modules/auth");
+const logger = require("../utils/logger");
+
+/**
+ * Logs in and saves the session to config.json, without downloading anything.
+ * Meant for provisioning a session on a remote machine.
+ *
+ * Usage:
+ *   TG_PHONE=491701234567 TG_OTP_FILE=/tmp/otp node cli.js login
+ */
+class Login {
+  static description() {
+    return "Log in and save the session to config.json";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js login [options]
+
+Logs in to Telegram and saves the session ID to config.json.
+Every value that is not given is prompted for. The same options work on any
+command that logs in.
+
+Options:
+  --phone            Phone number with country code (env: TG_PHONE)
+  --password         Two-step verification password (env: TG_PASSWORD)
+  --otp_method       Where to receive the OTP: app or sms (env: TG_OTP_METHOD)
+  --otp_file         File the OTP will be written to, or - to read it from stdin (env: TG_OTP_FILE)
+                     When stdin is not a terminal, the OTP is read from it by default
+  --qr               Log in by scanning a QR code shown in the terminal (env: TG_LOGIN_QR=1)
+  --encrypt_session  Save the session encrypted with a passphrase (env: TG_SESSION_PASSPHRASE)
+  --bot_token        Log in as a bot instead, saved as botSessionId (env: TG_BOT_TOKEN)
+  --proxy            Connect through a SOCKS4/5 or MTProxy proxy URL (env: TG_PROXY)
+
+Examples:
+  node cli.js login --qr
+  node cli.js login --phone=491701234567 --otp_method=app --otp_file=/tmp/otp
+  echo 12345 | TG_PHONE=491701234567 TG_PASSWORD=secret node cli.js login
+    `.trim();
+  }
+
+  async handle(options = {}) {
+    let client;
+    try {
+      client = await initAuth(options, { allowBot: true });
+      const me = await client.getMe();
+      logger.success(`Logged in as ${me.username ? `@${me.username}` : me.firstName}`);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      process.exitCode = 1;
+    } finally {
+      if (client) {
+        await client.disconnect();
+      }
+      process.exit();
+    }
+  }
+}
+
+module.exports = Login;
@@ -0,0 +1,73 @@
+"use strict";
+
+const { getConfig, saveConfig } = require("../utils/file-helper");
+const logger = require("../utils/logger");
+const { textInput } = require("../utils/input-helper");
+
+/**
+ * Adds an account profile to config.json.
+ *
+ * Usage:
+ *   node cli.js profile-add --name=work --export_dir=/data/work
+ */
+class ProfileAdd {
+  static description() {
+    return "Add an account profile to config.json";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js profile-add [--name=<name>] [options]
+
+Adds a named profile with its own session. Select it on any command with
+--profile=<name> (or the TG_PROFILE environment variable); the first command
+run with it logs in and saves the session to the profile.
+
+Options:
+  --name          Profile name (prompts when omitted)
+  --api_id        API ID for this profile (default: the top-level apiId)
+  --api_hash      API hash for this profile (default: the top-level apiHash)
+  --export_dir    Export directory for this profile (default: the usual export directory)
+  --bot_token     Log this profile in as a bot instead of a user account
+
+Examples:
+  node cli.js profile-add --name=work --export_dir=/data/telegram/work
+  node cli.js login --profile=work
+    `.trim();
+  }
+
+  async handle(options = {}) {
+    try {
+      const name = options.name || (await textInput("Enter a name for the profile"));
+      if (!name || !/^[\w-]+$/.test(name)) {
+        logger.error("Profile names may only contain letters, digits, _ and -");
+        process.exit(1);
+      }
+
+      const config = getConfig();
+      config.profiles = config.profiles || {};
+      if (config.profiles[name]) {
+        logger.error(`Profile "${name}" already exists`);
+        process.exit(1);
+      }
+
+      const profile = { sessionId: "" };
+      if (options.api_id) profile.apiId = Number(options.api_id);
+      if (options.api_hash) profile.apiHash = options.api_hash;
+      if (options.export_dir) profile.exportDirectory = options.export_dir;
+      if (options.bot_token) profile.botToken = options.bot_token;
+
+      config.profiles[name] = profile;
+      saveConfig(config);
+
+      logger.success(`Profile "${name}" added. Log in with: node cli.js login --profile=${name}`);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      console.error(err);
+    } finally {
+      process.exit(0);
+    }
+  }
+}
+
+module.exports = ProfileAdd;
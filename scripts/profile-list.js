@@ -0,0 +1,51 @@
+"use strict";
+
+const { getConfig } = require("../utils/file-helper");
+const { isEncryptedSessionId } = require("../utils/session-crypto");
+const logger = require("../utils/logger");
+
+/**
+ * Lists the account profiles of config.json.
+ *
+ * Usage:
+ *   node cli.js profile-list
+ */
+class ProfileList {
+  static description() {
+    return "List the account profiles in config.json";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js profile-list
+
+Lists the top-level (default) credentials and every profile of config.json,
+with whether a session is saved and the export directory used.
+    `.trim();
+  }
+
+  async handle() {
+    const { profiles = {}, ...defaults } = getConfig();
+
+    const describeSession = (sessionId) => {
+      if (!sessionId) return "no";
+      return isEncryptedSessionId(sessionId) ? "yes (encrypted)" : "yes";
+    };
+
+    const describe = (name, profile) => ({
+      profile: name,
+      apiId: profile.apiId || defaults.apiId,
+      account: profile.botToken ? "bot" : "user",
+      loggedIn: describeSession(profile.botToken ? profile.botSessionId : profile.sessionId),
+      exportDirectory: profile.exportDirectory || "(default)",
+    });
+
+    logger.table([
+      describe("(default)", defaults),
+      ...Object.entries(profiles).map(([name, profile]) => describe(name, profile)),
+    ]);
+    process.exit(0);
+  }
+}
+
+module.exports = ProfileList;
@@ -0,0 +1,66 @@
+"use strict";
+
+const { getConfig, saveConfig } = require("../utils/file-helper");
+const logger = require("../utils/logger");
+const { selectInput, booleanInput } = require("../utils/input-helper");
+
+/**
+ * Removes an account profile from config.json.
+ *
+ * Usage:
+ *   node cli.js profile-remove --name=work
+ */
+class ProfileRemove {
+  static description() {
+    return "Remove an account profile from config.json";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js profile-remove [--name=<name>] [--yes]
+
+Removes a profile and its saved session from config.json. Downloaded files
+in the profile's export directory are kept.
+
+Options:
+  --name    Profile name (prompts for a profile when omitted)
+  --yes     Do not ask for confirmation
+
+Examples:
+  node cli.js profile-remove --name=work
+    `.trim();
+  }
+
+  async handle(options = {}) {
+    try {
+      const config = getConfig();
+      const names = Object.keys(config.profiles || {});
+      if (!names.length) {
+        logger.error("There are no profiles in config.json");
+        process.exit(1);
+      }
+
+      const name = options.name || (await selectInput("Please select a profile to remove", names));
+      if (!names.includes(name)) {
+        logger.error(`Profile "${name}" not found in config.json`);
+        process.exit(1);
+      }
+
+      if (!options.yes && !(await booleanInput(`Remove profile "${name}" and its session?`))) {
+        logger.info("Nothing removed");
+        return;
+      }
+
+      delete config.profiles[name];
+      saveConfig(config);
+      logger.success(`Profile "${name}" removed`);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      console.error(err);
+    } finally {
+      process.exit(0);
+    }
+  }
+}
+
+module.exports = ProfileRemove;
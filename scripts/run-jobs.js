@@ -0,0 +1,136 @@
+"use strict";
+
+const path = require("path");
+const { initAuth } = require("../modules/auth");
+const { loadJobFile, JOB_TYPES } = require("../modules/jobs");
+const DownloadChannel = require("./download-channel");
+const DownloadTopic = require("./download-topic");
+const DownloadQueue = require("../utils/download-queue");
+const { rateLimiter } = require("../utils/rate-limiter");
+const { HOOK_EVENTS, configureHooks, emitHook } = require("../modules/hooks");
+const logger = require("../utils/logger");
+
+const JOB_STATUS = {
+  COMPLETED: "completed",
+  STOPPED: "stopped", // A download failed, the next run resumes from the checkpoint
+  FAILED: "failed",
+};
+
+/**
+ * Runs the channel and topic downloads listed in a JSON or YAML job file.
+ *
+ * Usage:
+ *   node cli.js run-jobs --file=jobs.yaml --parallel=2
+ */
+class RunJobs {
+  static description() {
+    return "Run the channel/topic downloads of a job file";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js run-jobs --file=<jobs.yaml|jobs.json> [options]
+
+Runs every job of the file with one Telegram connection and prints a status
+summary at the end. Each job downloads a channel (channelId) or a topic (url)
+with its own settings:
+
+  name, channelId or url, types (e.g. [video, pdf]; all when omitted),
+  from_date, until_date, sync, export_html, output, concurrency, filename_template,
+  folder_layout, min_size, max_size, min_duration, max_duration, caption_match,
+  caption_exclude, from_user, exclude_user, from_id, to_id
+
+Settings under "defaults" apply to every job. "parallel" and "max_rate" can
+be set at the top of the file as well.
+
+Options:
+  --file        The job file (.json, .yaml or .yml)
+  --parallel    Number of jobs running at the same time (default: 1)
+  --max_rate    Combined download speed limit for all jobs, e.g. 5MB/s
+  --on_file     Shell command or http(s) URL called for every downloaded file
+  --on_channel_complete
+                Shell command or URL called when a job's channel or topic is done
+  --on_failure  Shell command or URL called when a download or a job fails
+
+Examples:
+  node cli.js run-jobs --file=jobs.yaml
+  node cli.js run-jobs --file=jobs.json --parallel=3 --max_rate=10MB/s
+    `.trim();
+  }
+
+  /**
+   * Creates the downloader of a job with the job's settings applied
+   * @param {Object} job - Result of buildJob
+   * @returns {DownloadChannel|DownloadTopic}
+   */
+  createDownloader(job) {
+    const downloader = job.type === JOB_TYPES.TOPIC ? new DownloadTopic() : new DownloadChannel();
+    downloader.applyOptions(job.options);
+    return downloader;
+  }
+
+  /**
+   * Runs one job and reports its outcome. Never throws, so one job cannot stop the others.
+   * @param {Object} client - The shared Telegram client
+   * @param {Object} job - Result of buildJob
+   * @returns {Promise<Object>} A row of the status summary
+   */
+  async runJob(client, job) {
+    const startedAt = Date.now();
+    const row = {
+      job: job.name,
+      target: job.options.url || job.options.channelId,
+    };
+
+    try {
+      logger.info(`[${job.name}] Starting`);
+      const { success, outputFolder } = await this.createDownloader(job).run(client, job.options);
+
+      row.status = success ? JOB_STATUS.COMPLETED : JOB_STATUS.STOPPED;
+      row.details = outputFolder;
+    } catch (err) {
+      logger.error(`[${job.name}] ${err.message}`);
+      row.status = JOB_STATUS.FAILED;
+      row.details = err.message;
+      await emitHook(HOOK_EVENTS.FAILURE, { job: job.name, target: String(row.target), error: err.message });
+    }
+
+    row.duration = `${Math.round((Date.now() - startedAt) / 1000)}s`;
+    logger.info(`[${job.name}] ${row.status} in ${row.duration}`);
+    return row;
+  }
+
+  async handle(options = {}) {
+    let client;
+    let failed = false;
+
+    try {
+      if (!options.file) {
+        logger.error("A job file is required. Use --file=jobs.yaml");
+        process.exit(1);
+      }
+
+      const { jobs, parallel, maxRate } = loadJobFile(path.resolve(options.file));
+      const maxRateOption = options.max_rate || maxRate;
+      rateLimiter.configure(maxRateOption);
+      configureHooks(options);
+
+      const queue = new DownloadQueue(options.parallel || parallel || 1);
+      logger.info(`Running ${jobs.length} job(s), ${queue.concurrency} at a time`);
+
+      client = await initAuth(options);
+      const results = await Promise.all(jobs.map((job) => queue.push(() => this.runJob(client, job))));
+
+      logger.table(results);
+      failed = results.some((row) => row.status !== JOB_STATUS.COMPLETED);
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      failed = true;
+    } finally {
+      if (client) await client.disconnect();
+      process.exit(failed ? 1 : 0);
+    }
+  }
+}
+
+module.exports = RunJobs;
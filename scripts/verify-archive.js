@@ -0,0 +1,226 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { initAuth } = require("../modules/auth");
+const { getMessageDetail, downloadMessageMedia } = require("../modules/messages");
+const { readManifest, hasManifest, MANIFEST_FILE } = require("../modules/manifest");
+const { listExportFolders } = require("../modules/message-export");
+const { getExportDirectory } = require("../utils/helper");
+const { hashFile, writeFileSync } = require("../utils/file-helper");
+const logger = require("../utils/logger");
+const ProgressManager = require("../utils/progress");
+const { selectInput } = require("../utils/input-helper");
+
+const REPORT_FILE = "verification_report.json";
+const MESSAGE_DETAIL_CHUNK = 100;
+
+const STATUS = {
+  OK: "ok",
+  MISSING: "missing",
+  SIZE_MISMATCH: "size_mismatch",
+  HASH_MISMATCH: "hash_mismatch",
+};
+
+/**
+ * Verifies an export folder against its manifest and re-downloads missing or damaged files.
+ *
+ * Usage:
+ *   node cli.js verify-archive --folder=My_Channel_1002858083105
+ */
+class VerifyArchive {
+  constructor() {
+    this.exportPath = getExportDirectory();
+  }
+
+  static description() {
+    return "Verify downloaded files against the archive manifest";
+  }
+
+  static help() {
+    return `
+Usage: node cli.js verify-archive [--folder=<folder>] [options]
+
+Checks every file listed in the folder's ${MANIFEST_FILE} (expected size and SHA-256)
+and writes the result to ${REPORT_FILE}. Missing or mismatched files are
+downloaded again unless --report_only is given.
+
+Options:
+  --folder        Export folder name (inside the export directory) or absolute path
+                  Prompts for a folder when omitted
+  --quick         Only compare file sizes, skip the SHA-256 check
+  --report_only   Do not re-download failed files
+
+Examples:
+  node cli.js verify-archive --folder=My_Channel_1002858083105
+  node cli.js verify-archive --folder=My_Channel_1002858083105 --quick --report_only
+    `.trim();
+  }
+
+  /**
+   * Checks a single manifest entry against the file on disk
+   * @param {Object} entry - Manifest entry
+   * @param {boolean} quick - Skip hashing
+   * @returns {Promise<string>} One of STATUS
+   */
+  async verifyEntry(entry, quick) {
+    if (!fs.existsSync(entry.absolutePath)) return STATUS.MISSING;
+
+    const { size } = fs.statSync(entry.absolutePath);
+    if (entry.expectedSize && size !== entry.expectedSize) return STATUS.SIZE_MISMATCH;
+
+    if (!quick && entry.sha256) {
+      const sha256 = await hashFile(entry.absolutePath);
+      if (sha256 !== entry.sha256) return STATUS.HASH_MISMATCH;
+    }
+
+    return STATUS.OK;
+  }
+
+  /**
+   * Downloads the files of failed entries again, grouped by channel
+   * @param {string} outputFolder - The export folder
+   * @param {Array<Object>} failures - Manifest entries that failed verification
+   * @param {Object} options - CLI options, passed on to initAuth
+   * @returns {Promise<number>} Number of files restored
+   */
+  async redownload(outputFolder, failures, options = {}) {
+    const byChannel = new Map();
+    failures.forEach((entry) => {
+      if (!entry.channelId) {
+        logger.warn(`Cannot re-download ${entry.path}: no channel recorded`);
+        return;
+      }
+      if (!byChannel.has(entry.channelId)) byChannel.set(entry.channelId, []);
+      byChannel.get(entry.channelId).push(entry);
+    });
+
+    if (!byChannel.size) return 0;
+
+    const client = await initAuth(options, { allowBot: true });
+    const progressManager = new ProgressManager();
+    let restored = 0;
+
+    try {
+      for (const [channelId, entries] of byChannel) {
+        for (let i = 0; i < entries.length; i += MESSAGE_DETAIL_CHUNK) {
+          const chunk = entries.slice(i, i + MESSAGE_DETAIL_CHUNK);
+          const messages = await getMessageDetail(
+            client,
+            channelId,
+            chunk.map((entry) => entry.messageId)
+          );
+
+          for (const entry of chunk) {
+            const message = messages.find((m) => m && m.id === entry.messageId);
+            if (!message || !message.media) {
+              logger.warn(`Cannot re-download ${entry.path}: message #${entry.messageId} is no longer available`);
+              continue;
+            }
+
+            if (fs.existsSync(entry.absolutePath)) {
+              fs.unlinkSync(entry.absolutePath);
+            }
+
+            progressManager.start();
+            const success = await downloadMessageMedia(
+              client,
+              message,
+              entry.absolutePath,
+              channelId,
+              progressManager,
+              outputFolder
+            );
+            progressManager.stop();
+
+            if (success) restored++;
+          }
+        }
+      }
+    } finally {
+      await client.disconnect();
+    }
+
+    return restored;
+  }
+
+  async handle(options = {}) {
+    try {
+      let folder = options.folder;
+
+      if (!folder) {
+        const folders = listExportFolders(this.exportPath, hasManifest);
+        if (!folders.length) {
+          logger.error(`No exported channels found in ${this.exportPath}`);
+          process.exit(1);
+        }
+        folder = await selectInput("Please select a folder to verify", folders);
+      }
+
+      const outputFolder = path.isAbsolute(folder)
+        ? folder
+        : path.join(this.exportPath, folder);
+
+      const entries = readManifest(outputFolder);
+      if (!entries.length) {
+        logger.error(`No ${MANIFEST_FILE} found in ${outputFolder}`);
+        process.exit(1);
+      }
+
+      logger.info(`Verifying ${entries.length} file(s) in ${outputFolder}...`);
+
+      const results = [];
+      for (const entry of entries) {
+        const status = await this.verifyEntry(entry, Boolean(options.quick));
+        results.push({ ...entry, status });
+      }
+
+      const failures = results.filter((r) => r.status !== STATUS.OK);
+      const summary = Object.values(STATUS).reduce((acc, status) => {
+        acc[status] = results.filter((r) => r.status === status).length;
+        return acc;
+      }, {});
+
+      if (failures.length) {
+        logger.table(
+          failures.map((f) => ({ messageId: f.messageId, path: f.path, status: f.status }))
+        );
+      }
+
+      let restored = 0;
+      if (failures.length && !options.report_only) {
+        logger.info(`Re-downloading ${failures.length} file(s)...`);
+        restored = await this.redownload(outputFolder, failures, options);
+      }
+
+      writeFileSync(
+        path.join(outputFolder, REPORT_FILE),
+        {
+          verifiedAt: new Date().toISOString(),
+          hashChecked: !options.quick,
+          total: results.length,
+          ...summary,
+          restored,
+          failures: failures.map(({ absolutePath, ...entry }) => entry),
+        },
+        true
+      );
+
+      if (failures.length) {
+        logger.warn(
+          `${failures.length} of ${results.length} file(s) failed verification, ${restored} re-downloaded`
+        );
+      } else {
+        logger.success(`All ${results.length} file(s) verified`);
+      }
+    } catch (err) {
+      logger.error(`An error occurred: ${err.message}`);
+      console.error(err);
+      process.exitCode = 1;
+    } finally {
+      process.exit();
+    }
+  }
+}
+
+module.exports = VerifyArchive;
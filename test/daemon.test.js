@@ -0,0 +1,82 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+
+const Daemon = require("../scripts/daemon");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createDaemon = (nextRun) => {
+  const daemon = new Daemon();
+  daemon.schedule = { getNextRun: () => nextRun };
+  return daemon;
+};
+
+test("a run further away than setTimeout allows is waited for in steps", (t) => {
+  const delays = [];
+  mock.method(global, "setTimeout", (callback, delay) => {
+    delays.push(delay);
+    return callback;
+  });
+  t.after(() => mock.restoreAll());
+
+  const daemon = createDaemon(new Date(Date.now() + 30 * DAY));
+  daemon.scheduleNext();
+  assert.strictEqual(delays.length, 1);
+  assert.ok(delays[0] <= 2 ** 31 - 1);
+
+  // The first step re-checks the time left instead of starting the run
+  const now = Date.now();
+  mock.method(Date, "now", () => now + delays[0]);
+  daemon.timer();
+  assert.strictEqual(delays.length, 2);
+  assert.ok(delays[1] > 5 * DAY && delays[1] <= 6 * DAY);
+});
+
+test("a due run is skipped while the previous one is still going", async (t) => {
+  const timers = [];
+  mock.method(global, "setTimeout", (callback) => {
+    timers.push(callback);
+    return callback;
+  });
+  t.after(() => mock.restoreAll());
+
+  const daemon = createDaemon(new Date(Date.now() + 60 * 1000));
+  const runOnce = mock.method(daemon, "runOnce", async () => {});
+  daemon.currentRun = new Promise(() => {});
+
+  daemon.scheduleNext();
+  await timers[0]();
+  assert.strictEqual(runOnce.mock.callCount(), 0);
+  assert.strictEqual(timers.length, 2);
+
+  daemon.currentRun = null;
+  await timers[1]();
+  assert.strictEqual(runOnce.mock.callCount(), 1);
+});
+
+test("stops after the current run when no next run can be scheduled", async (t) => {
+  const timers = [];
+  mock.method(global, "setTimeout", (callback) => {
+    timers.push(callback);
+    return callback;
+  });
+  t.after(() => mock.restoreAll());
+
+  let calls = 0;
+  const daemon = new Daemon();
+  daemon.schedule = {
+    getNextRun: () => {
+      calls += 1;
+      if (calls > 1) throw new Error('Cron expression "0 0 30 2 *" never matches');
+      return new Date(Date.now() + 1000);
+    },
+  };
+  const runOnce = mock.method(daemon, "runOnce", async () => {});
+  const stop = mock.method(daemon, "stop", async () => {});
+
+  assert.strictEqual(daemon.scheduleNext(), true);
+  await timers[0]();
+
+  assert.strictEqual(runOnce.mock.callCount(), 1);
+  assert.deepStrictEqual(stop.mock.calls.map((call) => call.arguments), [[1]]);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bigInt = require("big-integer");
+
+// The download script destructures its imports, so the stubs are set before requiring it
+const messages = require("../modules/messages");
+const fileHelper = require("../utils/file-helper");
+const helper = require("../utils/helper");
+
+const history = [];
+const downloaded = [];
+const checkpoints = [];
+
+messages.getMessages = async (client, channelId, limit, offsetId, topicId, range) =>
+  history
+    .filter((msg) => msg.id > range.minId && (!range.maxId || msg.id < range.maxId))
+    .slice(0, limit);
+messages.getMessageDetail = async (client, channelId, ids) => history.filter((msg) => ids.includes(msg.id));
+messages.downloadMessageMedia = async (client, message, mediaPath) => {
+  downloaded.push(message.id);
+  fs.mkdirSync(path.dirname(mediaPath), { recursive: true });
+  fs.writeFileSync(mediaPath, Buffer.alloc(message.media.document.size.toJSNumber()));
+  return true;
+};
+fileHelper.updateLastSelection = (folderName, values) => checkpoints.push(values);
+helper.wait = async () => {};
+
+const DownloadChannel = require("../scripts/download-channel");
+
+const document = (id, fileName, size) => ({
+  id,
+  date: 1718000000,
+  message: "",
+  media: {
+    document: {
+      id: bigInt(id),
+      size: bigInt(size),
+      mimeType: "application/pdf",
+      attributes: [{ className: "DocumentAttributeFilename", fileName }],
+    },
+  },
+});
+
+let exportFolder;
+
+before(() => {
+  exportFolder = fs.mkdtempSync(path.join(os.tmpdir(), "download-range-"));
+  helper.setExportDirectory(exportFolder);
+});
+
+after(() => {
+  fs.rmSync(exportFolder, { recursive: true, force: true });
+});
+
+test("downloads the damaged and missing files of a range again and keeps the intact ones", async () => {
+  history.push(
+    document(9, "before.pdf", 10),
+    document(10, "intact.pdf", 10),
+    document(11, "truncated.pdf", 10),
+    document(12, "missing.pdf", 10),
+    document(13, "after.pdf", 10)
+  );
+
+  const outputFolder = path.join(exportFolder, "channel");
+  const documentFolder = path.join(outputFolder, "document");
+  fs.mkdirSync(documentFolder, { recursive: true });
+  fs.writeFileSync(path.join(documentFolder, "intact.pdf"), Buffer.alloc(10));
+  fs.writeFileSync(path.join(documentFolder, "truncated.pdf"), Buffer.alloc(4));
+
+  const downloader = new DownloadChannel();
+  downloader.applyOptions({ output: outputFolder, from_id: 10, to_id: 12 });
+  downloader.downloadableFiles = { all: true };
+
+  const success = await downloader.downloadRange({}, 1, "Test", downloader.fromId - 1);
+
+  assert.strictEqual(success, true);
+  assert.deepStrictEqual(downloaded, [11, 12]);
+  assert.strictEqual(fs.statSync(path.join(documentFolder, "truncated.pdf")).size, 10);
+  assert.deepStrictEqual(fs.readdirSync(documentFolder).sort(), ["intact.pdf", "missing.pdf", "truncated.pdf"]);
+  assert.deepStrictEqual(checkpoints, []);
+});
+
+test("matches the caption of an album split across two pages against all of its parts", async () => {
+  downloaded.length = 0;
+  for (let id = 100; id < 149; id++) history.push(document(id, `page-${id}.pdf`, 10));
+  // The album starts on the first page of 50 messages, its caption is on its last part
+  const album = [149, 150, 151].map((id) => ({ ...document(id, `album-${id}.pdf`, 10), groupedId: bigInt(7) }));
+  album[2].message = "Week 1 #course101";
+  history.push(...album);
+
+  const downloader = new DownloadChannel();
+  downloader.applyOptions({
+    output: path.join(exportFolder, "album"),
+    from_id: 100,
+    to_id: 151,
+    caption_match: "#course101",
+  });
+  downloader.downloadableFiles = { all: true };
+
+  const success = await downloader.downloadRange({}, 1, "Test", downloader.fromId - 1);
+
+  assert.strictEqual(success, true);
+  assert.deepStrictEqual(downloaded, [149, 150, 151]);
+});
@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { validateFilenameTemplate, renderFilenameTemplate } = require("../utils/filename-template");
+
+test("a template without {id} is rejected", () => {
+  assert.throws(() => validateFilenameTemplate("{date}_{caption:20}.{ext}"), /must contain \{id\}/);
+  assert.throws(() => validateFilenameTemplate("{original_name}"), /must contain \{id\}/);
+});
+
+test("templates with {id} give two messages different names", () => {
+  const template = "{date:YYYY-MM-DD}_{id}.{ext}";
+  validateFilenameTemplate(template);
+
+  const context = { date: 1718000000, originalName: "file", ext: "mp4" };
+  assert.notStrictEqual(
+    renderFilenameTemplate(template, { ...context, id: 1 }),
+    renderFilenameTemplate(template, { ...context, id: 2 })
+  );
+});
+
+test("shortens a long multibyte caption to fit the file name limit, keeping the ID and extension", () => {
+  const template = "{caption:500}_{id}.{ext}";
+  const caption = "Лекция по математике 🎓 ".repeat(20);
+  const fileName = renderFilenameTemplate(template, { id: 12345, caption, originalName: "file", ext: "mp4" });
+
+  assert.ok(Buffer.byteLength(fileName, "utf8") <= 200, `${Buffer.byteLength(fileName, "utf8")} bytes`);
+  assert.ok(fileName.endsWith("_12345.mp4"), fileName);
+  assert.ok(fileName.startsWith("Лекция по математике 🎓"), fileName);
+  assert.doesNotMatch(fileName, /�/);
+});
+
+test("shortens the longest free text parts first", () => {
+  const fileName = renderFilenameTemplate("{channel}_{caption:300}_{id}", {
+    id: 7,
+    channel: "Курс",
+    caption: "ж".repeat(300),
+    originalName: "file",
+    ext: "pdf",
+  });
+
+  assert.ok(fileName.startsWith("Курс_ж"), fileName);
+  assert.ok(fileName.endsWith("_7.pdf"), fileName);
+  assert.ok(Buffer.byteLength(fileName, "utf8") <= 200);
+});
@@ -0,0 +1,50 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseFolderLayout } = require("../utils/folder-layout");
+const { setMediaNaming, getMediaPath } = require("../utils/helper");
+
+const photoMessage = (id, firstName, extra = {}) => ({
+  id,
+  date: 1718000000,
+  fromId: { className: "PeerUser", userId: 123456 },
+  sender: { firstName },
+  media: { photo: { id } },
+  ...extra,
+});
+
+let outputFolder;
+
+beforeEach(() => {
+  outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), "folder-layout-"));
+});
+
+afterEach(() => {
+  fs.rmSync(outputFolder, { recursive: true, force: true });
+});
+
+test("keeps the files of a renamed sender in the same folder", () => {
+  setMediaNaming(outputFolder, { folderLayout: "sender" });
+
+  assert.strictEqual(path.dirname(getMediaPath(photoMessage(1, "Alice"), outputFolder)), path.join(outputFolder, "user_123456"));
+  assert.strictEqual(path.dirname(getMediaPath(photoMessage(2, "Alicia"), outputFolder)), path.join(outputFolder, "user_123456"));
+});
+
+test("puts channel posts in the folder of the channel", () => {
+  setMediaNaming(outputFolder, { folderLayout: "sender" });
+  const post = photoMessage(3, undefined, { fromId: null, peerId: { className: "PeerChannel", channelId: 777 } });
+
+  assert.strictEqual(path.dirname(getMediaPath(post, outputFolder)), path.join(outputFolder, "channel_777"));
+});
+
+test("adds the sender name to the ID with sender_name", () => {
+  setMediaNaming(outputFolder, { folderLayout: "sender_name" });
+
+  assert.strictEqual(path.dirname(getMediaPath(photoMessage(4, "Alice"), outputFolder)), path.join(outputFolder, "user_123456_Alice"));
+});
+
+test("rejects a layout with both sender levels", () => {
+  assert.throws(() => parseFolderLayout("sender/sender_name"), /either sender or sender_name/);
+});
@@ -0,0 +1,112 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bigInt = require("big-integer");
+
+// The listener destructures its imports, so the stubs are set before requiring it
+const messages = require("../modules/messages");
+const messageExport = require("../modules/message-export");
+const fileHelper = require("../utils/file-helper");
+const helper = require("../utils/helper");
+
+let downloadResults = [];
+const downloaded = [];
+const recorded = [];
+
+messages.downloadMessageMedia = async (client, message, mediaPath) => {
+  downloaded.push(message.id);
+  const success = downloadResults.length ? downloadResults.shift() : true;
+  if (success) fs.writeFileSync(mediaPath, Buffer.alloc(message.media.document.size.toJSNumber()));
+  return success;
+};
+messageExport.appendMessagesToExport = (outputFolder, records) => {
+  recorded.push(...records.map((msg) => msg.id));
+};
+fileHelper.getLastSelection = () => ({});
+fileHelper.updateLastSelection = () => {};
+
+const ListenChannel = require("../scripts/listen-channel");
+
+const video = (id, documentId, size, fileName = "clip.mp4") => ({
+  id,
+  date: 1718000000,
+  message: "",
+  media: {
+    document: {
+      id: bigInt(documentId),
+      size: bigInt(size),
+      mimeType: "video/mp4",
+      attributes: [{ className: "DocumentAttributeFilename", fileName }],
+    },
+  },
+});
+
+let exportFolder;
+let channel;
+
+before(() => {
+  exportFolder = fs.mkdtempSync(path.join(os.tmpdir(), "listen-channel-"));
+  helper.setExportDirectory(exportFolder);
+});
+
+after(() => {
+  fs.rmSync(exportFolder, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  downloadResults = [];
+  downloaded.length = 0;
+  recorded.length = 0;
+  channel = {
+    channelId: 1,
+    dialogName: "Test",
+    folderName: "Test_1",
+    outputFolder: path.join(exportFolder, "channel"),
+    lastSeenId: 0,
+    checkpointBlocked: false,
+    recordedIds: new Set(),
+  };
+});
+
+test("downloads the new media of an edit when that media is archived under another path", async () => {
+  const savedPath = path.join(channel.outputFolder, "video", "clip.mp4");
+  const otherPath = path.join(exportFolder, "other", "video", "clip.mp4");
+  fs.mkdirSync(path.dirname(savedPath), { recursive: true });
+  fs.mkdirSync(path.dirname(otherPath), { recursive: true });
+  fs.writeFileSync(savedPath, Buffer.alloc(10));
+  fs.writeFileSync(otherPath, Buffer.alloc(20));
+
+  // The old media of the message is at savedPath, the new one was downloaded for another channel
+  const entries = [
+    { key: "document:100", path: savedPath, size: 10, sha256: "old" },
+    { key: "document:200", path: otherPath, size: 20, sha256: "new" },
+  ];
+  fs.writeFileSync(
+    path.join(helper.getTrackingDirectory(), "media_index.jsonl"),
+    entries.map((entry) => JSON.stringify(entry)).join("\n")
+  );
+
+  const listener = new ListenChannel();
+  await listener.processEdit(channel, video(5, 200, 20));
+
+  assert.deepStrictEqual(downloaded, [5]);
+  assert.strictEqual(fs.statSync(savedPath).size, 20);
+});
+
+test("records a message whose download failed once, after the catch-up downloaded it", async () => {
+  const listener = new ListenChannel();
+  const batch = [video(31, 310, 5, "lesson.mp4"), { id: 32, date: 1718000000, message: "text" }];
+
+  downloadResults = [false];
+  await listener.processMessages(channel, batch);
+  assert.deepStrictEqual(recorded, [32]);
+  assert.strictEqual(channel.checkpointBlocked, true);
+
+  // The catch-up fetches both messages again
+  channel.checkpointBlocked = false;
+  await listener.processMessages(channel, batch);
+  assert.deepStrictEqual(recorded, [32, 31]);
+  assert.deepStrictEqual(downloaded, [31, 31]);
+});
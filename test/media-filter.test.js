@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseMediaFilter, matchesMediaFilter, getAlbumCaptions } = require("../modules/media-filter");
+
+const photoMessage = (id, text, extra = {}) => ({ id, message: text, media: { photo: {} }, ...extra });
+
+test("matches the caption patterns against the text with its entities resolved", () => {
+  const filter = parseMediaFilter({ caption_match: "example\\.com/lesson-1" });
+  const entities = [{ className: "MessageEntityTextUrl", offset: 0, length: 9, url: "https://example.com/lesson-1" }];
+  const message = photoMessage(1, "Read more", { entities });
+
+  assert.strictEqual(matchesMediaFilter(message, filter), true);
+  assert.strictEqual(matchesMediaFilter(photoMessage(2, "Read more"), filter), false);
+});
+
+test("matches the ID of a user mentioned without a username", () => {
+  const filter = parseMediaFilter({ caption_exclude: "id=12345\\b" });
+  const message = photoMessage(1, "By Alice", {
+    entities: [{ className: "MessageEntityMentionName", offset: 3, length: 5, userId: 12345 }],
+  });
+
+  assert.strictEqual(matchesMediaFilter(message, filter), false);
+});
+
+test("leaves the entities of the message untouched", () => {
+  const filter = parseMediaFilter({ caption_match: "lesson" });
+  const entities = [
+    { className: "MessageEntityTextUrl", offset: 0, length: 4, url: "https://example.com/a" },
+    { className: "MessageEntityTextUrl", offset: 5, length: 6, url: "https://example.com/b" },
+  ];
+  const message = photoMessage(1, "Open lesson", { entities: [...entities] });
+
+  matchesMediaFilter(message, filter);
+  assert.deepStrictEqual(message.entities, entities);
+});
+
+test("applies the caption of an album to each of its files", () => {
+  const filter = parseMediaFilter({ caption_match: "#course101" });
+  const album = [photoMessage(1, "Week 1 #Course101", { groupedId: 5n }), photoMessage(2, "", { groupedId: 5n })];
+  const albumCaptions = getAlbumCaptions(album);
+
+  assert.deepStrictEqual(album.map((message) => matchesMediaFilter(message, filter, albumCaptions)), [true, true]);
+  assert.strictEqual(matchesMediaFilter(photoMessage(3, "Week 2"), filter, albumCaptions), false);
+});
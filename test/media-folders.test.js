@@ -0,0 +1,45 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { checkFileExist, getSavedMediaPath } = require("../utils/helper");
+
+const voiceMessage = (id) => ({
+  id,
+  date: 1718000000,
+  message: "",
+  media: {
+    document: {
+      mimeType: "audio/ogg",
+      attributes: [{ className: "DocumentAttributeAudio", duration: 12, voice: true }],
+    },
+  },
+});
+
+let outputFolder;
+
+beforeEach(() => {
+  outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), "media-folders-"));
+});
+
+afterEach(() => {
+  fs.rmSync(outputFolder, { recursive: true, force: true });
+});
+
+test("finds a voice note saved in the audio folder by older versions", () => {
+  fs.mkdirSync(path.join(outputFolder, "audio"));
+  const legacyPath = path.join(outputFolder, "audio", "7_file.oga");
+  fs.writeFileSync(legacyPath, "voice");
+
+  assert.strictEqual(checkFileExist(voiceMessage(7), outputFolder), true);
+  assert.strictEqual(getSavedMediaPath(voiceMessage(7), outputFolder), legacyPath);
+});
+
+test("saves new voice notes in the voice folder", () => {
+  assert.strictEqual(checkFileExist(voiceMessage(8), outputFolder), false);
+  assert.strictEqual(
+    getSavedMediaPath(voiceMessage(8), outputFolder),
+    path.join(outputFolder, "voice", "8_file.oga")
+  );
+});
@@ -0,0 +1,52 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { serializeMessage } = require("../modules/message-export");
+
+const videoMessage = (id, fileName) => ({
+  id,
+  date: 1718000000,
+  message: "",
+  media: {
+    document: {
+      mimeType: "video/mp4",
+      attributes: [
+        { className: "DocumentAttributeVideo", duration: 60 },
+        { className: "DocumentAttributeFilename", fileName },
+      ],
+    },
+  },
+});
+
+let outputFolder;
+
+beforeEach(() => {
+  outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), "message-export-"));
+  fs.mkdirSync(path.join(outputFolder, "video"));
+});
+
+afterEach(() => {
+  fs.rmSync(outputFolder, { recursive: true, force: true });
+});
+
+test("records the path of a named file that is already downloaded", () => {
+  const downloadedPath = path.join(outputFolder, "video", "lecture.mp4");
+  fs.writeFileSync(downloadedPath, "video");
+
+  const record = serializeMessage(videoMessage(42, "lecture.mp4"), outputFolder);
+
+  assert.strictEqual(record.mediaPath, downloadedPath);
+  assert.strictEqual(record.mediaName, "lecture.mp4");
+});
+
+test("records the renamed path of a file whose name collided with another message", () => {
+  fs.writeFileSync(path.join(outputFolder, "video", "lecture.mp4"), "first");
+  const renamedPath = path.join(outputFolder, "video", "lecture_43.mp4");
+  fs.writeFileSync(renamedPath, "second");
+
+  const record = serializeMessage(videoMessage(43, "lecture.mp4"), outputFolder);
+
+  assert.strictEqual(record.mediaPath, renamedPath);
+});
@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// The rate limiter destructures its imports, so the stub is set before requiring it
+const fileHelper = require("../utils/file-helper");
+
+let config = {};
+fileHelper.getCredentials = () => config;
+
+const { rateLimiter } = require("../utils/rate-limiter");
+
+test("an invalid maxRate in config.json is rejected when configuring", () => {
+  config = { maxRate: "fast" };
+  assert.throws(() => rateLimiter.configure(), /Invalid rate "fast"/);
+  assert.throws(() => rateLimiter.configure(""), /Invalid rate "fast"/);
+});
+
+test("--max_rate overrides the maxRate of config.json", () => {
+  config = { maxRate: "fast" };
+  rateLimiter.configure("5MB/s");
+  assert.strictEqual(rateLimiter.bytesPerSecond, 5 * 1024 * 1024);
+
+  config = { maxRate: "1MB/s" };
+  rateLimiter.configure();
+  assert.strictEqual(rateLimiter.bytesPerSecond, 1024 * 1024);
+});
@@ -0,0 +1,110 @@
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Runs download tasks with a fixed number of workers.
+ * A worker picks up the next task as soon as its current one finishes, so one large
+ * file never keeps the other slots idle.
+ */
+class DownloadQueue {
+  /**
+   * @param {number|string} concurrency - Number of workers (defaults to DEFAULT_CONCURRENCY)
+   */
+  constructor(concurrency = DEFAULT_CONCURRENCY) {
+    const parsed = parseInt(concurrency, 10);
+    this.concurrency = parsed > 0 ? parsed : DEFAULT_CONCURRENCY;
+    this.pending = [];
+    this.active = 0;
+    this.idleResolvers = [];
+  }
+
+  /**
+   * Add a task to the queue
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Resolves (or rejects) with the task's result
+   */
+  push(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Start pending tasks while workers are free
+   */
+  next() {
+    while (this.active < this.concurrency && this.pending.length) {
+      const { task, resolve, reject } = this.pending.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+          if (this.isIdle()) {
+            this.idleResolvers.splice(0).forEach((resolveIdle) => resolveIdle());
+          }
+        });
+    }
+  }
+
+  /**
+   * Check if no task is running or waiting
+   * @returns {boolean}
+   */
+  isIdle() {
+    return this.active === 0 && this.pending.length === 0;
+  }
+
+  /**
+   * Wait until every queued task has finished
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise((resolve) => this.idleResolvers.push(resolve));
+  }
+
+  /**
+   * Run a worker for each item, in order, through the queue.
+   * After the first failure (worker resolves to false) no further items are started.
+   * onProgress is called with the last item of the longest fully-successful prefix each
+   * time that prefix grows, which makes it safe to use as a resume checkpoint.
+   * @param {Array} items - Items in processing order
+   * @param {Function} worker - Async function (item) => boolean
+   * @param {Function} onProgress - Optional callback (item)
+   * @returns {Promise<boolean>} True if every item succeeded
+   */
+  async runOrdered(items, worker, onProgress = null) {
+    const results = new Array(items.length);
+    let completed = 0;
+    let failed = false;
+
+    await Promise.all(
+      items.map((item, index) =>
+        this.push(async () => {
+          if (failed) return;
+
+          const success = await worker(item);
+          results[index] = success;
+          if (!success) {
+            failed = true;
+            return;
+          }
+
+          const previous = completed;
+          while (results[completed] === true) completed++;
+          if (onProgress && completed > previous) onProgress(items[completed - 1]);
+        })
+      )
+    );
+
+    return !failed;
+  }
+}
+
+DownloadQueue.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+module.exports = DownloadQueue;
@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
-const { logMessage, getChannelTrackingDirectory } = require("./helper");
+const crypto = require("crypto");
+const { logMessage, getChannelTrackingDirectory, setExportDirectory, setMediaNaming } = require("./helper");
 
 const CONFIG_FILE = path.join(__dirname, "../config.json");
 const getLastSelectionFile = (channelFolderName) => path.join(getChannelTrackingDirectory(channelFolderName), "last_selection.json");
@@ -40,40 +41,100 @@ const writeFileSync = (filePath, data, silent = false) => {
   }
 };
 
+// Settings tied to one account, never inherited by profiles from the top level
+const ACCOUNT_KEYS = ["sessionId", "botSessionId", "botToken"];
+
+let activeProfile = null;
+
 /**
- * Updates the credentials in the configuration file with the provided object.
+ * Reads and parses the whole configuration file.
+ *
+ * @returns {Object} The parsed config.json.
+ * @throws Will log an error message and exit the process if the config file cannot be read or parsed.
+ */
+const getConfig = () => {
+  try {
+    const data = readFileSync(CONFIG_FILE);
+    return JSON.parse(data);
+  } catch (err) {
+    logMessage.error(
+      "Please add your credentials in config.json file, follow https://github.com/abhishekjnvk/telegram-channel-downloader#setup for more info"
+    );
+    process.exit(1);
+  }
+};
+
+/**
+ * Writes the whole configuration file.
+ *
+ * @param {Object} config - The complete configuration.
+ */
+const saveConfig = (config) => {
+  writeFileSync(CONFIG_FILE, config, true);
+};
+
+/**
+ * Updates the credentials of the active profile with the provided object.
+ * Without an active profile, the top-level credentials are updated.
  *
  * @param {Object} obj - The object containing the new credentials to be updated.
  * @throws Will log an error message if reading or writing to the configuration file fails.
  */
 const updateCredentials = (obj) => {
   try {
-    const data = readFileSync(CONFIG_FILE);
-    const credentials = { ...JSON.parse(data), ...obj };
-    writeFileSync(CONFIG_FILE, credentials);
+    const config = JSON.parse(readFileSync(CONFIG_FILE));
+    if (activeProfile) {
+      config.profiles[activeProfile] = { ...config.profiles[activeProfile], ...obj };
+    } else {
+      Object.assign(config, obj);
+    }
+    writeFileSync(CONFIG_FILE, config);
   } catch (err) {
     logMessage.error("Failed to update credentials", err);
   }
 };
 
 /**
- * Reads and parses the credentials from the configuration file.
+ * Reads the credentials of the active profile.
+ * A profile inherits the top-level settings (apiId, apiHash, maxRate, ...) it does not
+ * set itself, except for the ACCOUNT_KEYS, which always belong to a single account.
  *
  * @returns {Object} The parsed credentials from the config file.
  * @throws Will log an error message and exit the process if the config file cannot be read or parsed.
  */
 const getCredentials = () => {
-  try {
-    const data = readFileSync(CONFIG_FILE);
-    return JSON.parse(data);
-  } catch (err) {
-    logMessage.error(
-      "Please add your credentials in config.json file, follow https://github.com/abhishekjnvk/telegram-channel-downloader#setup for more info"
-    );
-    process.exit(1);
+  const { profiles, ...config } = getConfig();
+  if (!activeProfile) return config;
+
+  const inherited = { ...config };
+  ACCOUNT_KEYS.forEach((key) => delete inherited[key]);
+  return { ...inherited, ...profiles[activeProfile] };
+};
+
+/**
+ * Selects the profile used by getCredentials and updateCredentials, and switches
+ * the export directory to the profile's `exportDirectory` when it has one.
+ *
+ * @param {string} name - The profile name as found under `profiles` in config.json.
+ * @throws {Error} If the profile does not exist.
+ */
+const useProfile = (name) => {
+  const { profiles = {} } = getConfig();
+  if (!profiles[name]) {
+    throw new Error(`Profile "${name}" not found in config.json. Add it with: node cli.js profile-add --name=${name}`);
   }
+
+  activeProfile = name;
+  setExportDirectory(profiles[name].exportDirectory);
 };
 
+/**
+ * Gets the name of the active profile.
+ *
+ * @returns {string|null} The profile name, or null when the top-level credentials are used.
+ */
+const getActiveProfile = () => activeProfile;
+
 /**
  * Retrieves the last selection from a channel's tracking file.
  *
@@ -108,9 +169,76 @@ const updateLastSelection = (channelFolderName, object) => {
   }
 };
 
+/**
+ * Selects the filename template and folder layout of a channel folder.
+ *
+ * Settings given on the command line are saved in the channel's tracking file, so later
+ * runs without the options keep naming and placing files the same way, and recognize
+ * the files already downloaded.
+ *
+ * @param {string} channelFolderName - The channel folder name
+ * @param {string} outputFolder - The folder the media is downloaded into
+ * @param {Object} settings
+ * @param {string} [settings.filenameTemplate] - The --filename_template option
+ * @param {string} [settings.folderLayout] - The --folder_layout option
+ * @param {string} [settings.channelName] - Value of the {channel} placeholder
+ * @returns {{filenameTemplate: string|null, folderLayout: string|null}} The settings in use
+ */
+const useMediaNaming = (channelFolderName, outputFolder, { filenameTemplate, folderLayout, channelName } = {}) => {
+  const saved = getLastSelection(channelFolderName);
+  const changes = {};
+
+  if (filenameTemplate && filenameTemplate !== saved.filenameTemplate) {
+    if (saved.filenameTemplate) {
+      logMessage.info(`Filename template changed from "${saved.filenameTemplate}" to "${filenameTemplate}"`);
+    }
+    changes.filenameTemplate = filenameTemplate;
+  }
+  if (folderLayout && folderLayout !== saved.folderLayout) {
+    if (saved.folderLayout) {
+      logMessage.info(`Folder layout changed from "${saved.folderLayout}" to "${folderLayout}"`);
+    }
+    changes.folderLayout = folderLayout;
+  }
+  if (Object.keys(changes).length) {
+    updateLastSelection(channelFolderName, changes);
+  }
+
+  const selected = {
+    filenameTemplate: filenameTemplate || saved.filenameTemplate || null,
+    folderLayout: folderLayout || saved.folderLayout || null,
+  };
+  setMediaNaming(outputFolder, { ...selected, channelName });
+  return selected;
+};
+
+/**
+ * Computes the SHA-256 hash of a file by streaming it.
+ *
+ * @param {string} filePath - The path to the file to hash.
+ * @returns {Promise<string>} The hex-encoded SHA-256 digest.
+ */
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+};
+
 module.exports = {
+  readFileSync,
+  writeFileSync,
+  getConfig,
+  saveConfig,
   updateCredentials,
   getCredentials,
+  useProfile,
+  getActiveProfile,
   getLastSelection,
   updateLastSelection,
+  useMediaNaming,
+  hashFile,
 };
@@ -0,0 +1,183 @@
+// Placeholders of --filename_template, e.g. "{date:YYYY-MM-DD}_{id}_{caption:40}.{ext}"
+const PLACEHOLDERS = ["date", "id", "channel", "sender", "caption", "original_name", "ext"];
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+const DEFAULT_DATE_FORMAT = "YYYY-MM-DD";
+const DEFAULT_CAPTION_LENGTH = 50;
+// Filesystems allow 255 bytes, the rest is left for the .partial.json file of a resumed download
+const MAX_FILENAME_BYTES = 200;
+// Placeholders with free text, the parts of a name that are shortened when it is too long
+const FREE_TEXT_PLACEHOLDERS = ["channel", "sender", "caption", "original_name"];
+
+/**
+ * Makes a value safe to use inside a file name
+ * @param {*} value - The value of a placeholder
+ * @returns {string}
+ */
+const sanitizeFileNamePart = (value) =>
+  String(value ?? "")
+    .replace(/\s+/g, " ") // Line breaks and tabs
+    .replace(/[\/\\:*?"<>|\x00-\x1f]/g, "_") // Invalid filesystem chars
+    .trim();
+
+/**
+ * Gets the size of a text in UTF-8, as it is stored in a file name
+ * @param {string} text
+ * @returns {number} Bytes
+ */
+const getByteLength = (text) => Buffer.byteLength(text, "utf8");
+
+/**
+ * Cuts a text to a number of UTF-8 bytes, without splitting a character
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {string}
+ */
+const truncateToBytes = (text, maxBytes) => {
+  let result = "";
+  let bytes = 0;
+  for (const char of text) {
+    bytes += getByteLength(char);
+    if (bytes > maxBytes) break;
+    result += char;
+  }
+  return result;
+};
+
+/**
+ * Shortens the free text parts of a file name, the longest first, until the name fits in
+ * maxBytes. The other parts, such as the message ID and the date, are kept whole.
+ * @param {Array<{text: string, freeText: boolean}>} parts - The parts of the name, updated in place
+ * @param {number} maxBytes
+ */
+const shortenFreeText = (parts, maxBytes) => {
+  let excess = getByteLength(parts.map((part) => part.text).join("")) - maxBytes;
+
+  while (excess > 0) {
+    const [longest, next] = parts
+      .filter((part) => part.freeText && part.text)
+      .sort((a, b) => getByteLength(b.text) - getByteLength(a.text));
+    if (!longest) return;
+
+    // Down to the length of the next longest part at most, so long parts are shortened evenly
+    const bytes = getByteLength(longest.text);
+    const targetBytes = Math.max(bytes - excess, next ? getByteLength(next.text) : 0);
+    longest.text = truncateToBytes(longest.text, Math.min(targetBytes, bytes - 1)).trimEnd();
+    excess -= bytes - getByteLength(longest.text);
+  }
+};
+
+/**
+ * Formats a message date with YYYY, MM, DD, HH, mm and ss tokens, in local time
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} format - e.g. "YYYY-MM-DD"
+ * @returns {string}
+ */
+const formatDate = (timestamp, format) => {
+  if (!timestamp) return "";
+
+  const date = new Date(timestamp * 1000);
+  const pad = (number) => String(number).padStart(2, "0");
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+/**
+ * Checks a filename template before any file is named with it
+ * @param {string} template - e.g. "{date:YYYY-MM-DD}_{id}.{ext}"
+ * @throws {Error} If the template is empty, has a path separator or an unknown placeholder, or
+ * has no {id}
+ */
+const validateFilenameTemplate = (template) => {
+  if (typeof template !== "string" || !template.trim()) {
+    throw new Error("The filename template cannot be empty");
+  }
+  if (/[\/\\]/.test(template)) {
+    throw new Error(`Invalid filename template "${template}": it cannot contain / or \\`);
+  }
+
+  for (const [, name, argument] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(`Unknown placeholder {${name}} in filename template. Available: ${PLACEHOLDERS.map((p) => `{${p}}`).join(", ")}`);
+    }
+    if (name === "caption" && argument !== undefined && !/^\d+$/.test(argument)) {
+      throw new Error(`Invalid length "${argument}" in {caption:${argument}}`);
+    }
+  }
+
+  // Without the message ID two messages can get the same name, and the second one would be
+  // taken for already downloaded
+  if (![...template.matchAll(PLACEHOLDER_PATTERN)].some(([, name]) => name === "id")) {
+    throw new Error(`Invalid filename template "${template}": it must contain {id}, so every message gets its own file name`);
+  }
+};
+
+/**
+ * Builds a file name from a template
+ * @param {string} template - A template accepted by validateFilenameTemplate
+ * @param {Object} context
+ * @param {number} context.id - Message ID
+ * @param {number} context.date - Message date (Unix timestamp in seconds)
+ * @param {string} [context.channel] - Channel name
+ * @param {string} [context.sender] - Sender name
+ * @param {string} [context.caption] - Message text
+ * @param {string} context.originalName - The default file name without its extension
+ * @param {string} [context.ext] - Extension without the dot
+ * @returns {string} The file name, at most MAX_FILENAME_BYTES bytes long unless the template's own
+ * text is longer. The extension is appended when the template has no {ext}.
+ */
+const renderFilenameTemplate = (template, context) => {
+  const values = {
+    id: () => context.id,
+    date: (format) => formatDate(context.date, format || DEFAULT_DATE_FORMAT),
+    channel: () => context.channel,
+    sender: () => context.sender,
+    caption: (length) =>
+      Array.from(sanitizeFileNamePart(context.caption))
+        .slice(0, Number(length || DEFAULT_CAPTION_LENGTH))
+        .join(""),
+    original_name: () => context.originalName,
+    ext: () => context.ext,
+  };
+
+  // The literal text of the template, and the value of each placeholder
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const [placeholder, name, argument] = match;
+    parts.push({ text: template.slice(lastIndex, match.index), freeText: false });
+    parts.push(
+      values[name]
+        ? { text: sanitizeFileNamePart(values[name](argument)), freeText: FREE_TEXT_PLACEHOLDERS.includes(name) }
+        : { text: placeholder, freeText: false }
+    );
+    lastIndex = match.index + placeholder.length;
+  }
+  parts.push({ text: template.slice(lastIndex), freeText: false });
+
+  const extension = context.ext && !template.includes("{ext}") ? `.${context.ext}` : "";
+  shortenFreeText(parts, MAX_FILENAME_BYTES - getByteLength(extension));
+
+  let fileName = parts
+    .map((part) => part.text)
+    .join("")
+    .trim()
+    .replace(/\.$/, ""); // {ext} of a file without extension
+
+  if (!fileName) fileName = `${context.id}_file`;
+
+  return fileName + extension;
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  validateFilenameTemplate,
+  renderFilenameTemplate,
+};
@@ -0,0 +1,101 @@
+// Levels of --folder_layout, combined with "/", e.g. "date/type"
+const FOLDER_LAYOUT_LEVELS = ["type", "date", "sender", "sender_name", "topic", "album"];
+const DEFAULT_FOLDER_LAYOUT = "type";
+
+/**
+ * Makes a value safe to use as a folder name
+ * @param {*} value - e.g. a sender name
+ * @returns {string}
+ */
+const sanitizeFolderPart = (value) =>
+  String(value ?? "")
+    .trim()
+    .replace(/[\/\\:*?"<>|\x00-\x1f]/g, "_")
+    .replace(/\s+/g, "_")
+    .replace(/^\.+/, "_") // No hidden folders, no ".."
+    .substring(0, 50);
+
+/**
+ * Splits a folder layout into its levels
+ * @param {string} layout - e.g. "type", "date/type" or "sender/album"
+ * @returns {Array<string>} The levels
+ * @throws {Error} If a level is unknown or repeated, or both sender levels are used
+ */
+const parseFolderLayout = (layout) => {
+  const levels = String(layout ?? "")
+    .split("/")
+    .map((level) => level.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!levels.length) {
+    throw new Error("The folder layout cannot be empty");
+  }
+
+  levels.forEach((level, index) => {
+    if (!FOLDER_LAYOUT_LEVELS.includes(level)) {
+      throw new Error(`Unknown folder layout "${level}". Available: ${FOLDER_LAYOUT_LEVELS.join(", ")}`);
+    }
+    if (levels.indexOf(level) !== index) {
+      throw new Error(`"${level}" appears twice in the folder layout "${layout}"`);
+    }
+  });
+  if (levels.includes("sender") && levels.includes("sender_name")) {
+    throw new Error(`Use either sender or sender_name in the folder layout "${layout}"`);
+  }
+
+  return levels;
+};
+
+/**
+ * Builds the sub folders of a file from a folder layout
+ * @param {string} layout - A layout accepted by parseFolderLayout
+ * @param {Object} context
+ * @param {string} context.mediaType - Media type folder, e.g. "video"
+ * @param {number} context.date - Message date (Unix timestamp in seconds)
+ * @param {string} [context.senderId] - Sender ID folder, e.g. "user_123456"
+ * @param {string} [context.senderName] - Sender or post author name
+ * @param {number} [context.topicId] - Forum topic of the message
+ * @param {string} [context.groupedId] - Album of the message
+ * @returns {Array<string>} Folder names, outermost first
+ */
+const getLayoutFolders = (layout, context) => {
+  const folders = [];
+
+  parseFolderLayout(layout).forEach((level) => {
+    switch (level) {
+      case "type":
+        folders.push(context.mediaType);
+        break;
+      case "date": {
+        const date = new Date((context.date || 0) * 1000);
+        folders.push(String(date.getFullYear()), String(date.getMonth() + 1).padStart(2, "0"));
+        break;
+      }
+      case "sender":
+        folders.push(context.senderId || "unknown_sender");
+        break;
+      case "sender_name":
+        // The name is only added to the ID: a renamed sender gets a new folder
+        folders.push(
+          [context.senderId || "unknown_sender", sanitizeFolderPart(context.senderName)].filter(Boolean).join("_")
+        );
+        break;
+      case "topic":
+        folders.push(context.topicId ? `topic_${context.topicId}` : "general");
+        break;
+      case "album":
+        // Messages outside an album stay in the parent folder
+        if (context.groupedId) folders.push(`album_${context.groupedId}`);
+        break;
+    }
+  });
+
+  return folders;
+};
+
+module.exports = {
+  FOLDER_LAYOUT_LEVELS,
+  DEFAULT_FOLDER_LAYOUT,
+  parseFolderLayout,
+  getLayoutFolders,
+};
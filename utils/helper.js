@@ -2,12 +2,17 @@ const mimeDB = require("mime-db");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const { renderFilenameTemplate } = require("./filename-template");
+const { getLayoutFolders, DEFAULT_FOLDER_LAYOUT } = require("./folder-layout");
 
 // Define media types (only document and photo are supported)
 const MEDIA_TYPES = {
   IMAGE: "image",
   VIDEO: "video",
   AUDIO: "audio",
+  VOICE: "voice",
+  ROUND_VIDEO: "round_video",
+  GIF: "gif",
   STICKER: "sticker",
   DOCUMENT: "document",
   OTHERS: "others",
@@ -36,13 +41,26 @@ const getMediaType = (message) => {
 
   // Documents (videos, audio, files, stickers, etc.)
   if (media.document) {
-    const { mimeType } = media.document;
+    const { mimeType, attributes = [] } = media.document;
+    const findAttribute = (className) => attributes.find((a) => a.className === className);
+    const videoAttribute = findAttribute("DocumentAttributeVideo");
+    const audioAttribute = findAttribute("DocumentAttributeAudio");
+
+    // The attributes tell what Telegram shows the document as, whatever its MIME type:
+    // stickers can be image/webp, video/webm or application/x-tgsticker
+    if (findAttribute("DocumentAttributeSticker")) return MEDIA_TYPES.STICKER;
+    if (findAttribute("DocumentAttributeAnimated")) return MEDIA_TYPES.GIF;
+    if (videoAttribute?.roundMessage) return MEDIA_TYPES.ROUND_VIDEO;
+    if (audioAttribute?.voice) return MEDIA_TYPES.VOICE;
+
     if (mimeType) {
+      if (mimeType === "application/x-tgsticker") return MEDIA_TYPES.STICKER;
       if (mimeType.includes(MEDIA_TYPES.IMAGE)) return MEDIA_TYPES.IMAGE;
       if (mimeType.includes(MEDIA_TYPES.VIDEO)) return MEDIA_TYPES.VIDEO;
       if (mimeType.includes(MEDIA_TYPES.AUDIO)) return MEDIA_TYPES.AUDIO;
-      if (mimeType.includes(MEDIA_TYPES.STICKER)) return MEDIA_TYPES.STICKER;
     }
+    if (videoAttribute) return MEDIA_TYPES.VIDEO;
+    if (audioAttribute) return MEDIA_TYPES.AUDIO;
     return MEDIA_TYPES.DOCUMENT;
   }
 
@@ -50,10 +68,21 @@ const getMediaType = (message) => {
   return MEDIA_TYPES.OTHERS;
 };
 
-// Check if a file already exists
-const checkFileExist = (message, outputFolder) => {
-  if (!message || !message.media) return false;
+// Get the media type older versions gave a message, from the MIME type only: voice notes,
+// round videos, GIFs and most stickers were saved in the audio, video and image folders
+const getLegacyMediaType = (message) => {
+  const mimeType = message.media?.document?.mimeType;
+  if (!mimeType) return getMediaType(message);
+
+  if (mimeType.includes(MEDIA_TYPES.IMAGE)) return MEDIA_TYPES.IMAGE;
+  if (mimeType.includes(MEDIA_TYPES.VIDEO)) return MEDIA_TYPES.VIDEO;
+  if (mimeType.includes(MEDIA_TYPES.AUDIO)) return MEDIA_TYPES.AUDIO;
+  if (mimeType.includes(MEDIA_TYPES.STICKER)) return MEDIA_TYPES.STICKER;
+  return MEDIA_TYPES.DOCUMENT;
+};
 
+// Get the default file name of a message's media: the document's own name or <id>_file.<ext>
+const getOriginalFileName = (message) => {
   let fileName = `${message.id}_file`;
   let hasFileNameFromDocument = false;
   const { media } = message;
@@ -82,46 +111,115 @@ const checkFileExist = (message, outputFolder) => {
     if (media.photo) fileName += ".jpg";
   }
 
-  const folderType = filterString(getMediaType(message));
-  const filePath = path.join(outputFolder, folderType, fileName);
+  return fileName;
+};
+
+// File naming settings of the export folders, see setMediaNaming
+const mediaNaming = new Map();
 
-  return fs.existsSync(filePath);
+/**
+ * Sets how the media of an export folder is named and organized
+ * @param {string} outputFolder - The export folder
+ * @param {Object} settings
+ * @param {string} [settings.filenameTemplate] - --filename_template, default names when empty
+ * @param {string} [settings.folderLayout] - --folder_layout, one folder per media type when empty
+ * @param {string} [settings.channelName] - Value of {channel}, defaults to the title of each message's chat
+ */
+const setMediaNaming = (outputFolder, { filenameTemplate = null, folderLayout = null, channelName = null } = {}) => {
+  mediaNaming.set(path.resolve(outputFolder), { filenameTemplate, folderLayout, channelName });
 };
 
-// Get the path to save the media file
-const getMediaPath = (message, outputFolder) => {
+// Get the naming settings of an export folder
+const getMediaNaming = (outputFolder) => mediaNaming.get(path.resolve(outputFolder)) || {};
+
+// Get the file name of a message's media in an export folder, applying the folder's filename template
+const getFileName = (message, outputFolder) => {
+  const fileName = getOriginalFileName(message);
+  const { filenameTemplate, channelName } = getMediaNaming(outputFolder);
+  if (!filenameTemplate) return fileName;
+
+  const ext = path.extname(fileName);
+  return renderFilenameTemplate(filenameTemplate, {
+    id: message.id,
+    date: message.date,
+    channel: channelName || message.chat?.title || message.chat?.username,
+    sender: getSenderName(message),
+    caption: message.message,
+    originalName: path.basename(fileName, ext),
+    ext: ext.replace(".", ""),
+  });
+};
+
+// Get the folder of a message's media in an export folder, following the folder's layout
+const getMediaFolder = (message, outputFolder, mediaType = getMediaType(message)) => {
+  const { folderLayout } = getMediaNaming(outputFolder);
+  const replyTo = message.replyTo;
+
+  const folders = getLayoutFolders(folderLayout || DEFAULT_FOLDER_LAYOUT, {
+    mediaType: filterString(mediaType),
+    date: message.date,
+    senderId: getSenderFolderId(message),
+    senderName: getSenderName(message),
+    topicId: replyTo?.forumTopic ? replyTo.replyToTopId || replyTo.replyToMsgId : null,
+    groupedId: message.groupedId?.toString(),
+  });
+
+  return path.join(outputFolder, ...folders);
+};
+
+// Get the path older versions saved the media of a message to, when its media type folder
+// has changed since (see getLegacyMediaType), otherwise null
+const getLegacyMediaPath = (message, outputFolder) => {
+  const legacyType = getLegacyMediaType(message);
+  if (legacyType === getMediaType(message)) return null;
+
+  const legacyFolder = getMediaFolder(message, outputFolder, legacyType);
+  if (legacyFolder === getMediaFolder(message, outputFolder)) return null;
+
+  return path.join(legacyFolder, getFileName(message, outputFolder));
+};
+
+// Check if a file already exists, in its media type folder or the one older versions used
+const checkFileExist = (message, outputFolder) => {
+  if (!message || !message.media) return false;
+
+  const fileName = getFileName(message, outputFolder);
+  const filePath = path.join(getMediaFolder(message, outputFolder), fileName);
+  const legacyPath = getLegacyMediaPath(message, outputFolder);
+
+  return fs.existsSync(filePath) || Boolean(legacyPath && fs.existsSync(legacyPath));
+};
+
+// Get the path the media of a message was saved to, without renaming it on a collision:
+// the <name>_<id> file when getMediaPath had to rename the download, the file in the media type
+// folder of older versions when only that one exists, otherwise the default path
+const getSavedMediaPath = (message, outputFolder) => {
   if (!message || !message.media) return "unknown";
 
-  let fileName = `${message.id}_file`;
-  let hasFileNameFromDocument = false;
-  const { media } = message;
+  const fileName = getFileName(message, outputFolder);
+  const mediaFolder = getMediaFolder(message, outputFolder);
 
-  if (media.document) {
-    const docAttributes = media.document.attributes;
-    if (docAttributes) {
-      const fileNameObj = docAttributes.find(
-        (e) => e.className === "DocumentAttributeFilename"
-      );
-      if (fileNameObj) {
-        fileName = fileNameObj.fileName;
-        hasFileNameFromDocument = true;
-      } else {
-        const ext = mimeDB[media.document.mimeType]?.extensions[0];
-        if (ext) fileName += `.${ext}`;
-        hasFileNameFromDocument = true;
-      }
-    }
+  if (!fileName.includes(String(message.id))) {
+    const ext = path.extname(fileName);
+    const renamedPath = path.join(mediaFolder, `${path.basename(fileName, ext)}_${message.id}${ext}`);
+    if (fs.existsSync(renamedPath)) return renamedPath;
   }
 
-  // Only add extensions if we didn't get a filename from document attributes
-  if (!hasFileNameFromDocument) {
-    if (media.video) fileName += ".mp4";
-    if (media.audio) fileName += ".mp3";
-    if (media.photo) fileName += ".jpg";
-  }
+  const filePath = path.join(mediaFolder, fileName);
+  const legacyPath = getLegacyMediaPath(message, outputFolder);
+  if (!fs.existsSync(filePath) && legacyPath && fs.existsSync(legacyPath)) return legacyPath;
+
+  return filePath;
+};
 
-  const folderType = filterString(getMediaType(message));
-  const filePath = path.join(outputFolder, folderType, fileName);
+// Get the path to save the media file
+const getMediaPath = (message, outputFolder) => {
+  if (!message || !message.media) return "unknown";
+
+  let fileName = getFileName(message, outputFolder);
+
+  const mediaFolder = getMediaFolder(message, outputFolder);
+  const filePath = path.join(mediaFolder, fileName);
 
   if (fs.existsSync(filePath)) {
     // Only rename if this is a true collision (different message, same filename)
@@ -136,7 +234,7 @@ const getMediaPath = (message, outputFolder) => {
     }
   }
 
-  const finalPath = path.join(outputFolder, folderType, fileName);
+  const finalPath = path.join(mediaFolder, fileName);
   if (!fs.existsSync(path.dirname(finalPath))) {
     fs.mkdirSync(path.dirname(finalPath), { recursive: true });
   }
@@ -152,6 +250,28 @@ const getDialogType = (dialog) => {
   return "Unknown";
 };
 
+// Get a display name for the sender of a message
+const getSenderName = (message) => {
+  if (message.postAuthor) return message.postAuthor;
+
+  const sender = message.sender;
+  if (!sender) return undefined;
+  if (sender.title) return sender.title;
+
+  const fullName = [sender.firstName, sender.lastName].filter(Boolean).join(" ").trim();
+  return fullName || sender.username || undefined;
+};
+
+// Get the ID of the sender of a message as a folder name (user_<id>, channel_<id> or chat_<id>),
+// which unlike the sender's name does not change. Channel posts are sent by the channel.
+const getSenderFolderId = (message) => {
+  const peer = message.fromId || message.peerId;
+  if (peer?.userId) return `user_${peer.userId}`;
+  if (peer?.channelId) return `channel_${peer.channelId}`;
+  if (peer?.chatId) return `chat_${peer.chatId}`;
+  return undefined;
+};
+
 // Logging utility
 const logMessage = {
   info: (message, icon=true) => {
@@ -175,6 +295,16 @@ const wait = (seconds) => {
   });
 };
 
+/**
+ * Parses a message ID given on the command line
+ * @param {string|number} value - e.g. "1200"
+ * @returns {number|null} The message ID, or null if it is not a positive integer
+ */
+const parseMessageId = (value) => {
+  const id = Number(String(value ?? "").trim());
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
 /**
  * Parses a date string in DD/MM/YYYY or DD/MM/YYYY HH:MM format to Unix timestamps
  * @param {string} dateStr - Date string in DD/MM/YYYY or DD/MM/YYYY HH:MM format
@@ -231,9 +361,51 @@ const parseDateString = (dateStr, endOfDay = false) => {
   return Math.floor(date.getTime() / 1000);
 };
 
-// Filter a string to remove non-alphanumeric characters
+const SIZE_UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024,
+};
+
+/**
+ * Parses a size such as "500MB", "1.5G", "100KB" or "204800" (bytes)
+ * @param {string|number} value - The size to parse
+ * @returns {number|null} Bytes, or null if the value cannot be parsed
+ */
+const parseSize = (value) => {
+  if (typeof value === "number") return value >= 0 ? Math.floor(value) : null;
+
+  const match = String(value ?? "").trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*([KMG]?)(?:I?B)?$/);
+  if (!match) return null;
+
+  const unit = match[2] ? `${match[2]}B` : "B";
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[unit]);
+};
+
+const DURATION_UNITS = {
+  S: 1,
+  M: 60,
+  H: 60 * 60,
+};
+
+/**
+ * Parses a duration such as "10" (seconds), "90s", "5m" or "1.5h"
+ * @param {string|number} value - The duration
+ * @returns {number|null} Seconds, or null if the value cannot be parsed
+ */
+const parseDuration = (value) => {
+  if (typeof value === "number") return value >= 0 ? value : null;
+
+  const match = String(value ?? "").trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*([SMH]?)$/);
+  if (!match) return null;
+
+  return parseFloat(match[1]) * DURATION_UNITS[match[2] || "S"];
+};
+
+// Filter a string to remove characters other than letters, digits and underscores
 const filterString = (string) => {
-  return string.replace(/[^a-zA-Z0-9]/g, "");
+  return string.replace(/[^a-zA-Z0-9_]/g, "");
 };
 
 // Stringify an object with circular references
@@ -253,19 +425,14 @@ const circularStringify = (obj, indent = 2) => {
   return retVal;
 };
 
-// Append data to a JSON array file
-const appendToJSONArrayFile = (filePath, dataToAppend) => {
+// Append records to a JSON Lines file (one JSON document per line)
+const appendToJSONLinesFile = (filePath, records) => {
   try {
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, circularStringify(dataToAppend, null, 2));
-    } else {
-      const data = fs.readFileSync(filePath);
-      const json = JSON.parse(data);
-      json.push(dataToAppend);
-      fs.writeFileSync(filePath, circularStringify(json, null, 2));
-    }
+    if (!records.length) return;
+    const lines = records.map((record) => circularStringify(record, 0)).join("\n");
+    fs.appendFileSync(filePath, `${lines}\n`);
   } catch (e) {
-    logMessage.error(`Error appending to JSON Array file ${filePath}`);
+    logMessage.error(`Error appending to JSON Lines file ${filePath}`);
     console.error(e);
   }
 };
@@ -310,12 +477,30 @@ const createChannelFolderName = (channelName, channelId) => {
   return `channel_${sanitizedId}`;
 };
 
+let exportDirectoryOverride = null;
+
+/**
+ * Overrides the export directory, e.g. with the one of the selected profile.
+ * @param {string|null} directory - The directory to use, or null for the default
+ */
+const setExportDirectory = (directory) => {
+  exportDirectoryOverride = directory ? path.resolve(directory) : null;
+};
+
 /**
  * Gets the export directory path.
- * Uses the OS Downloads folder if available, otherwise falls back to home directory.
+ * Uses the directory set with setExportDirectory, otherwise the OS Downloads folder
+ * if available, otherwise falls back to home directory.
  * @returns {string} The export directory path
  */
 const getExportDirectory = () => {
+  if (exportDirectoryOverride) {
+    if (!fs.existsSync(exportDirectoryOverride)) {
+      fs.mkdirSync(exportDirectoryOverride, { recursive: true });
+    }
+    return exportDirectoryOverride;
+  }
+
   const homeDir = os.homedir();
   const downloadsDir = path.join(homeDir, "Downloads");
 
@@ -355,16 +540,23 @@ module.exports = {
   getMediaType,
   checkFileExist,
   getMediaPath,
+  getSavedMediaPath,
+  setMediaNaming,
   getDialogType,
+  getSenderName,
   logMessage,
   wait,
   parseDateString,
+  parseMessageId,
   filterString,
-  appendToJSONArrayFile,
+  parseSize,
+  parseDuration,
+  appendToJSONLinesFile,
   circularStringify,
   sanitizeFolderName,
   createChannelFolderName,
   getExportDirectory,
+  setExportDirectory,
   getTrackingDirectory,
   getChannelTrackingDirectory,
   MEDIA_TYPES,
@@ -1,5 +1,8 @@
+const fs = require("fs");
+const readline = require("readline");
 const inquirer = require("inquirer");
-const { MEDIA_TYPES } = require("./helper");
+const { MEDIA_TYPES, parseSize, parseDuration } = require("./helper");
+const logger = require("./logger");
 
 /**
  * Prompts the user to enter their mobile number with country code.
@@ -39,6 +42,54 @@ const otpInput = async () => {
   return otp;
 };
 
+/**
+ * Reads a single line from stdin, for values piped in by another program.
+ * @param {string} [message] - Optional message logged before waiting.
+ * @returns {Promise<string>} The line read, trimmed.
+ */
+const stdinInput = async (message) => {
+  if (message) logger.info(message);
+
+  const lines = readline.createInterface({ input: process.stdin, terminal: false });
+  try {
+    for await (const line of lines) {
+      if (line.trim()) return line.trim();
+    }
+  } finally {
+    lines.close();
+  }
+
+  throw new Error("stdin was closed before a value was received");
+};
+
+/**
+ * Waits for a file to be written and returns its first line.
+ * Only content written after `since` is accepted, so a value left over from
+ * an earlier run is never reused.
+ * @param {string} filePath - The file to watch.
+ * @param {number} [since=Date.now()] - Timestamp (ms) the file must be modified after.
+ * @param {number} [timeoutSeconds=300] - How long to wait before giving up.
+ * @returns {Promise<string>} The first non-empty line of the file, trimmed.
+ */
+const fileInput = async (filePath, since = Date.now(), timeoutSeconds = 300) => {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  while (Date.now() < deadline) {
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.mtimeMs >= since) {
+        const line = fs.readFileSync(filePath, "utf8").split("\n").find((l) => l.trim());
+        if (line) return line.trim();
+      }
+    } catch (err) {
+      // File not created yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+
+  throw new Error(`Timed out waiting for ${filePath}`);
+};
+
 /**
  * Prompts the user to enter a text input.
  * @param {string} [message="Please Enter"] - The message to display.
@@ -55,6 +106,23 @@ const textInput = async (message = "Please Enter") => {
   return text;
 };
 
+/**
+ * Prompts the user to enter a secret, masking the typed characters.
+ * @param {string} [message="Please Enter"] - The message to display.
+ * @returns {Promise<string>} The entered text.
+ */
+const passwordInput = async (message = "Please Enter") => {
+  const question = {
+    type: "password",
+    name: "password",
+    message: message,
+    mask: "*",
+  };
+
+  const { password } = await inquirer.prompt(question);
+  return password;
+};
+
 /**
  * Prompts the user to enter a number within a specified range.
  * @param {string} [message="Please enter a number"] - The message to display.
@@ -86,13 +154,15 @@ const numberInput = async (message = "Please enter a number", min = -Infinity, m
 /**
  * Prompts the user to answer with yes or no.
  * @param {string} [message="Please answer with yes or no"] - The message to display.
+ * @param {boolean} [defaultValue=true] - The answer selected when the user just presses enter.
  * @returns {Promise<boolean>} The user's response.
  */
-const booleanInput = async (message = "Please answer with yes or no") => {
+const booleanInput = async (message = "Please answer with yes or no", defaultValue = true) => {
   const question = {
     type: "confirm",
     name: "confirm",
     message: message,
+    default: defaultValue,
   };
 
   const { confirm } = await inquirer.prompt(question);
@@ -146,6 +216,10 @@ const downloadOptionInput = async () => {
     MEDIA_TYPES.IMAGE,
     MEDIA_TYPES.VIDEO,
     MEDIA_TYPES.AUDIO,
+    MEDIA_TYPES.VOICE,
+    MEDIA_TYPES.ROUND_VIDEO,
+    MEDIA_TYPES.GIF,
+    MEDIA_TYPES.STICKER,
     "pdf",
     "zip",
     "custom",
@@ -156,6 +230,8 @@ const downloadOptionInput = async () => {
     MEDIA_TYPES.IMAGE,
     MEDIA_TYPES.VIDEO,
     MEDIA_TYPES.AUDIO,
+    MEDIA_TYPES.VOICE,
+    MEDIA_TYPES.ROUND_VIDEO,
     "pdf",
   ];
 
@@ -167,31 +243,76 @@ const downloadOptionInput = async () => {
     fileExtensions = [...fileExtensions, ...customExtensionsArray];
   }
 
-  const filesToDownload = {
-    [MEDIA_TYPES.WEBPAGE]: true,
-    [MEDIA_TYPES.POLL]: true,
-    [MEDIA_TYPES.GEO]: true,
-    [MEDIA_TYPES.CONTACT]: true,
-    [MEDIA_TYPES.VENUE]: true,
-    [MEDIA_TYPES.STICKER]: true,
-  };
+  const selected = fileExtensions.filter((e) => e !== "custom");
+  return selected.length ? parseMediaTypes(selected) : {};
+};
+
+/**
+ * Prompts the user for the size and duration limits of the files to download.
+ * @returns {Promise<Object>} The min_size, max_size, min_duration and max_duration answers; empty
+ * answers are left out.
+ */
+const mediaFilterInput = async () => {
+  const limitFilesBySize = await booleanInput("Limit the files by size or duration?", false);
+  if (!limitFilesBySize) return {};
 
-  fileExtensions.forEach((e) => {
-    filesToDownload[e] = true;
+  const sizeQuestion = (name, message) => ({
+    type: "input",
+    name,
+    message,
+    validate: (input) =>
+      !input.trim() || parseSize(input) !== null ? true : "Please enter a size like 500MB, 1.5GB or 100KB.",
+  });
+  const durationQuestion = (name, message) => ({
+    type: "input",
+    name,
+    message,
+    validate: (input) =>
+      !input.trim() || parseDuration(input) !== null ? true : "Please enter seconds or a duration like 90s, 5m or 1h.",
   });
 
+  const answers = await inquirer.prompt([
+    sizeQuestion("min_size", "Minimum file size (e.g. 10MB, empty for no limit):"),
+    sizeQuestion("max_size", "Maximum file size (e.g. 500MB, empty for no limit):"),
+    durationQuestion("min_duration", "Minimum duration of videos and audio (e.g. 10s, empty for no limit):"),
+    durationQuestion("max_duration", "Maximum duration of videos and audio (e.g. 1h, empty for no limit):"),
+  ]);
+
+  return Object.fromEntries(Object.entries(answers).filter(([, value]) => value.trim()));
+};
+
+/**
+ * Converts media types and file extensions into the downloadableFiles map of the download commands
+ * @param {string|Array<string>} types - Media types or file extensions, e.g. ["video", "pdf"] or "voice,gif"
+ * @returns {Object} e.g. { video: true, pdf: true }; { all: true } when no types are given
+ */
+const parseMediaTypes = (types) => {
+  const list = Array.isArray(types) ? types : String(types || "").split(",");
+  const normalized = list
+    .map((type) => String(type).trim().replace(/^\./, "").toLowerCase())
+    .filter(Boolean);
+
+  if (!normalized.length) return { all: true };
 
-  return filesToDownload;
+  return normalized.reduce((files, type) => {
+    files[type] = true;
+    return files;
+  }, {});
 };
 
 module.exports = {
   textInput,
+  passwordInput,
   otpInput,
   mobileNumberInput,
+  stdinInput,
+  fileInput,
   numberInput,
   booleanInput,
   selectInput,
   multipleChoice,
   downloadOptionInput,
+  mediaFilterInput,
+  parseMediaTypes,
 };
 
@@ -1,4 +1,5 @@
 const cliProgress = require("cli-progress");
+const { rateLimiter } = require("./rate-limiter");
 
 /**
  * Manages download progress bars for multiple concurrent downloads
@@ -7,6 +8,7 @@ class ProgressManager {
   constructor() {
     this.multiBar = null;
     this.bars = new Map(); // downloadId -> { bar, totalBytes, filename }
+    this.rateBar = null; // Combined speed line, only shown when a rate limit is set
   }
 
   /**
@@ -26,6 +28,26 @@ class ProgressManager {
       },
       cliProgress.Presets.shades_classic
     );
+
+    if (rateLimiter.isLimited()) {
+      this.rateBar = this.multiBar.create(
+        1,
+        0,
+        this.getRatePayload(),
+        { format: "\x1b[0m\x1b[36mSpeed: {speed}/s (limit {limit}/s)\x1b[0m" }
+      );
+    }
+  }
+
+  /**
+   * Get the values shown on the speed line
+   * @returns {object}
+   */
+  getRatePayload() {
+    return {
+      speed: this.formatBytes(rateLimiter.getCurrentRate()),
+      limit: this.formatBytes(rateLimiter.bytesPerSecond),
+    };
   }
 
   /**
@@ -72,6 +94,10 @@ class ProgressManager {
       downloaded: this.formatBytes(downloadedBytes),
       totalSize: this.formatBytes(total),
     });
+
+    if (this.rateBar) {
+      this.rateBar.update(0, this.getRatePayload());
+    }
   }
 
   /**
@@ -109,6 +135,7 @@ class ProgressManager {
       this.multiBar.stop();
       this.multiBar = null;
     }
+    this.rateBar = null;
     this.bars.clear();
   }
 
@@ -0,0 +1,115 @@
+const { wait, parseSize } = require("./helper");
+const { getCredentials } = require("./file-helper");
+
+const STATS_WINDOW_MS = 3000;
+
+/**
+ * Parses a transfer rate such as "5MB/s", "500KB", "1.5M" or "204800" (bytes per second)
+ * @param {string|number} value - The rate to parse. Empty, 0 or "off" means unlimited.
+ * @returns {number} Bytes per second, 0 for unlimited
+ * @throws {Error} If the value cannot be parsed
+ */
+const parseRate = (value) => {
+  if (value === undefined || value === null || value === "" || value === true) return 0;
+  if (typeof value === "number") return Math.max(0, Math.floor(value));
+
+  const normalized = String(value).trim().toUpperCase().replace(/\/S$/, "");
+  if (normalized === "OFF" || normalized === "0") return 0;
+
+  const bytes = parseSize(normalized);
+  if (bytes === null) {
+    throw new Error(`Invalid rate "${value}". Expected a value like 5MB/s, 500KB/s or 1.5M`);
+  }
+  return bytes;
+};
+
+/**
+ * Token bucket shared by every download of the process, so the limit applies to the
+ * combined throughput of all concurrent downloads.
+ */
+class RateLimiter {
+  constructor() {
+    this.bytesPerSecond = undefined; // undefined until configured, 0 = unlimited
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+    this.samples = []; // [timestamp, bytes] of recent transfers, for the current rate
+  }
+
+  /**
+   * Set the maximum rate. Without a value, the `maxRate` setting of config.json is used.
+   * Commands call it on startup, so an invalid rate is reported before anything is downloaded.
+   * @param {string|number} [maxRate] - Rate as accepted by parseRate
+   * @throws {Error} If the rate cannot be parsed
+   */
+  configure(maxRate) {
+    if (maxRate === undefined || maxRate === null || maxRate === "") {
+      maxRate = getCredentials().maxRate;
+    }
+
+    this.bytesPerSecond = parseRate(maxRate);
+    this.tokens = this.bytesPerSecond;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Check if a limit is active
+   * @returns {boolean}
+   */
+  isLimited() {
+    if (this.bytesPerSecond === undefined) this.configure();
+    return this.bytesPerSecond > 0;
+  }
+
+  /**
+   * Add tokens for the time elapsed since the last refill, up to one second of burst
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(
+      this.bytesPerSecond,
+      this.tokens + elapsedSeconds * this.bytesPerSecond
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * Account for transferred bytes, waiting as long as needed to stay under the limit
+   * @param {number} bytes - Number of bytes just transferred
+   * @returns {Promise<void>}
+   */
+  async consume(bytes) {
+    const now = Date.now();
+    this.samples.push([now, bytes]);
+    while (this.samples.length && this.samples[0][0] < now - STATS_WINDOW_MS) {
+      this.samples.shift();
+    }
+
+    if (!this.isLimited()) return;
+
+    this.refill();
+    this.tokens -= bytes;
+    if (this.tokens < 0) {
+      await wait(-this.tokens / this.bytesPerSecond);
+    }
+  }
+
+  /**
+   * Get the combined transfer rate of the last few seconds
+   * @returns {number} Bytes per second
+   */
+  getCurrentRate() {
+    const since = Date.now() - STATS_WINDOW_MS;
+    const bytes = this.samples
+      .filter(([timestamp]) => timestamp >= since)
+      .reduce((sum, [, size]) => sum + size, 0);
+    return bytes / (STATS_WINDOW_MS / 1000);
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+  rateLimiter,
+  parseRate,
+};
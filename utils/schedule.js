@@ -0,0 +1,137 @@
+const INTERVAL_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+const MAX_CRON_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+/**
+ * Parses an interval such as "30s", "15m", "2h" or "1d"
+ * @param {string} value - The interval
+ * @returns {number} Milliseconds
+ * @throws {Error} If the value cannot be parsed
+ */
+const parseInterval = (value) => {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new Error(`Invalid interval "${value}". Expected e.g. 30s, 15m, 2h or 1d`);
+  }
+  return Math.round(parseFloat(match[1]) * INTERVAL_UNITS[match[2]]);
+};
+
+/**
+ * Parses one field of a cron expression into the set of values it matches
+ * @param {string} field - e.g. "*", "5", "1-5", "*\/15", "0,30"
+ * @param {{name: string, min: number, max: number}} range
+ * @returns {Set<number>}
+ */
+const parseCronField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  field.split(",").forEach((part) => {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    let from = min;
+    let to = max;
+    if (rangePart !== "*") {
+      const [start, end] = rangePart.split("-").map((n) => parseInt(n, 10));
+      from = start;
+      to = end === undefined ? (stepPart === undefined ? start : max) : end;
+    }
+
+    if ([from, to, step].some(Number.isNaN) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid ${name} "${part}" in cron expression`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - e.g. "*\/15 * * * *" or "0 3 * * 1-5"
+ * @returns {Function} (date) => boolean, true if the expression matches the date's minute
+ * @throws {Error} If the expression is invalid
+ */
+const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}". Expected 5 fields: minute hour day month weekday`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) =>
+    parseCronField(field, CRON_FIELDS[i])
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+
+  // Like cron: when both day fields are restricted, either of them may match
+  const dayRestricted = fields[2] !== "*";
+  const weekdayRestricted = fields[4] !== "*";
+
+  return (date) => {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours())) return false;
+    if (!months.has(date.getMonth() + 1)) return false;
+
+    const dayMatches = days.has(date.getDate());
+    const weekdayMatches = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return dayMatches || weekdayMatches;
+    return dayMatches && weekdayMatches;
+  };
+};
+
+/**
+ * Creates a schedule from an interval or a cron expression
+ * @param {Object} options
+ * @param {string} [options.interval] - e.g. "15m"
+ * @param {string} [options.cron] - e.g. "0 *\/6 * * *"
+ * @returns {{description: string, getNextRun: Function}} getNextRun(from: Date) returns the next Date
+ * @throws {Error} If neither or both are given, or the value is invalid
+ */
+const createSchedule = ({ interval, cron } = {}) => {
+  if (Boolean(interval) === Boolean(cron)) {
+    throw new Error("Set either an interval or a cron expression");
+  }
+
+  if (interval) {
+    const ms = parseInterval(interval);
+    return {
+      description: `every ${interval}`,
+      getNextRun: (from) => new Date(from.getTime() + ms),
+    };
+  }
+
+  const matches = parseCron(cron);
+  return {
+    description: `cron "${cron}"`,
+    getNextRun: (from) => {
+      const next = new Date(from.getTime());
+      next.setSeconds(0, 0);
+      for (let i = 0; i < MAX_CRON_LOOKAHEAD_MINUTES; i++) {
+        next.setMinutes(next.getMinutes() + 1);
+        if (matches(next)) return next;
+      }
+      throw new Error(`Cron expression "${cron}" never matches`);
+    },
+  };
+};
+
+module.exports = {
+  parseInterval,
+  parseCron,
+  createSchedule,
+};
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { passwordInput } = require("./input-helper");
+
+const PREFIX = "enc:v1:";
+const PASSPHRASE_ENV = "TG_SESSION_PASSPHRASE";
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Derives the AES key from a passphrase
+ * @param {string} passphrase - The passphrase
+ * @param {Buffer} salt - Random salt stored with the encrypted session
+ * @returns {Buffer}
+ */
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+
+/**
+ * Checks whether a stored session ID is encrypted
+ * @param {string} sessionId - The sessionId value of config.json
+ * @returns {boolean}
+ */
+const isEncryptedSessionId = (sessionId) =>
+  typeof sessionId === "string" && sessionId.startsWith(PREFIX);
+
+/**
+ * Encrypts a session string with AES-256-GCM, using a key derived from the passphrase
+ * @param {string} sessionId - The plain StringSession
+ * @param {string} passphrase - The passphrase
+ * @returns {string} "enc:v1:<salt>:<iv>:<tag>:<data>", each part base64
+ */
+const encryptSessionId = (sessionId, passphrase) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(sessionId, "utf8"), cipher.final()]);
+
+  return PREFIX + [salt, iv, cipher.getAuthTag(), data].map((b) => b.toString("base64")).join(":");
+};
+
+/**
+ * Decrypts a session string produced by encryptSessionId
+ * @param {string} encrypted - The encrypted sessionId value
+ * @param {string} passphrase - The passphrase
+ * @returns {string} The plain StringSession
+ * @throws {Error} If the passphrase is wrong or the value is damaged
+ */
+const decryptSessionId = (encrypted, passphrase) => {
+  const [salt, iv, tag, data] = encrypted
+    .slice(PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch (err) {
+    throw new Error("Could not decrypt the session: wrong passphrase or damaged sessionId");
+  }
+};
+
+/**
+ * Gets the session passphrase from the TG_SESSION_PASSPHRASE environment variable,
+ * or prompts for it when running in a terminal
+ * @param {boolean} [confirm=false] - Ask twice, for setting a new passphrase
+ * @returns {Promise<string>}
+ * @throws {Error} When no passphrase is available without a terminal
+ */
+const getSessionPassphrase = async (confirm = false) => {
+  if (process.env[PASSPHRASE_ENV]) return process.env[PASSPHRASE_ENV];
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`The session is encrypted: set ${PASSPHRASE_ENV} to run without a terminal`);
+  }
+
+  const passphrase = await passwordInput("Enter the session passphrase");
+  if (!passphrase) throw new Error("The session passphrase cannot be empty");
+
+  if (confirm && (await passwordInput("Repeat the session passphrase")) !== passphrase) {
+    throw new Error("The passphrases do not match");
+  }
+
+  return passphrase;
+};
+
+module.exports = {
+  PASSPHRASE_ENV,
+  isEncryptedSessionId,
+  encryptSessionId,
+  decryptSessionId,
+  getSessionPassphrase,
+};